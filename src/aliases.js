@@ -0,0 +1,168 @@
+import path from 'path';
+import fs from './fileSystem.js';
+import { logger } from './logger.js';
+import { isExpression } from './viteConfig.js';
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+// resolve.alias comes either as an object or as an array of { find, replacement }
+function getAliasEntries(viteConfig) {
+    const alias = viteConfig?.config?.resolve?.alias;
+
+    if (Array.isArray(alias)) {
+        return alias;
+    }
+    if (alias && typeof alias === 'object' && !isExpression(alias)) {
+        return Object.entries(alias).map(([find, replacement]) => ({ find, replacement }));
+    }
+    if (isExpression(alias)) {
+        return [alias];
+    }
+    return [];
+}
+
+// Project-relative path for an alias target, or null for a package name. Vite aliases are
+// usually absolute, but '/src' style paths are meant relative to the project root.
+function toProjectPath(targetDir, replacement) {
+    let absolutePath = null;
+
+    if (replacement.startsWith('./') || replacement.startsWith('../')) {
+        absolutePath = path.resolve(targetDir, replacement);
+    } else if (path.isAbsolute(replacement)) {
+        absolutePath = replacement.startsWith(targetDir) || fs.existsSync(replacement)
+            ? replacement
+            : path.join(targetDir, replacement);
+    }
+
+    if (!absolutePath) {
+        return null;
+    }
+
+    const relativePath = toPosix(path.relative(targetDir, absolutePath)) || '.';
+    return relativePath === '.' || relativePath.startsWith('..') ? relativePath : `./${relativePath}`;
+}
+
+function isFile(targetDir, projectPath) {
+    const absolutePath = path.resolve(targetDir, projectPath);
+    return fs.existsSync(absolutePath) && fs.statSync(absolutePath).isFile();
+}
+
+// Turn /^prefix(.*)$/ style regex aliases into a "prefix*" pattern, the only kind paths can express
+function regexToPattern(regexp) {
+    const match = regexp.pattern.match(/^\^([\w@~$.\-/]*)\(\.\*\)\$?$/);
+    return match && !regexp.flags.includes('i') ? match[1] : null;
+}
+
+// Sort the vite.config aliases into tsconfig/jsconfig `paths`, webpack aliases for
+// package replacements (which paths can't express) and the ones left to do by hand
+export function resolveViteAliases(targetDir, viteConfig) {
+    const paths = {};
+    const webpack = {};
+    const unsupported = [];
+
+    for (const entry of getAliasEntries(viteConfig)) {
+        if (isExpression(entry) || !entry || typeof entry !== 'object') {
+            unsupported.push({ alias: entry?.$expression || String(entry), reason: 'it is computed when the config runs' });
+            continue;
+        }
+
+        const { find, replacement } = entry;
+        const label = isExpression(find) ? find.$expression : find;
+
+        if (typeof replacement !== 'string') {
+            unsupported.push({ alias: label, reason: 'its replacement is computed when the config runs' });
+            continue;
+        }
+
+        if (typeof find === 'string') {
+            const projectPath = toProjectPath(targetDir, replacement);
+
+            if (!projectPath) {
+                // A package swapped for another one, e.g. lodash → lodash-es
+                webpack[find] = replacement;
+            } else if (find.endsWith('/')) {
+                paths[`${find}*`] = [`${projectPath}/*`];
+            } else if (isFile(targetDir, projectPath)) {
+                paths[find] = [projectPath];
+            } else {
+                paths[find] = [projectPath];
+                paths[`${find}/*`] = [`${projectPath}/*`];
+            }
+            continue;
+        }
+
+        const prefix = find?.regexp ? regexToPattern(find.regexp) : null;
+        const projectPath = prefix !== null ? toProjectPath(targetDir, replacement.replace('$1', '')) : null;
+
+        if (prefix !== null && replacement.endsWith('$1') && projectPath) {
+            paths[`${prefix}*`] = [`${projectPath}/*`];
+        } else {
+            unsupported.push({ alias: label, reason: 'tsconfig paths and webpack aliases cannot express this pattern' });
+        }
+    }
+
+    return { paths, webpack, unsupported };
+}
+
+// Write the vite.config aliases into tsconfig.json, or jsconfig.json for JavaScript projects
+export async function migrateAliases(targetDir, projectSetup) {
+    logger.startStep('Translating Vite path aliases');
+
+    if (projectSetup.viteConfig?.error) {
+        logger.warning(projectSetup.viteConfig.error);
+    }
+
+    // Package aliases go into next.config, see createNextConfig
+    const { paths, webpack, unsupported } = resolveViteAliases(targetDir, projectSetup.viteConfig);
+
+    if (Object.keys(paths).length === 0 && Object.keys(webpack).length === 0 && unsupported.length === 0) {
+        logger.info('No resolve.alias entries found in the Vite config');
+        logger.stepComplete();
+        return true;
+    }
+
+    if (Object.keys(paths).length > 0) {
+        const configName = projectSetup.usesTypeScript ? 'tsconfig.json' : 'jsconfig.json';
+        const configPath = path.join(targetDir, configName);
+        const config = fs.existsSync(configPath) ? JSON.parse(await fs.readFile(configPath, 'utf8')) : {};
+
+        config.compilerOptions = config.compilerOptions || {};
+        if (!config.compilerOptions.baseUrl) {
+            config.compilerOptions.baseUrl = '.';
+        }
+
+        // Paths are resolved from baseUrl, which may not be the project root
+        const baseUrl = path.resolve(targetDir, config.compilerOptions.baseUrl);
+        const existingPaths = config.compilerOptions.paths || {};
+        const addedPaths = {};
+
+        for (const [pattern, targets] of Object.entries(paths)) {
+            if (existingPaths[pattern]) {
+                logger.detail(`Keeping existing paths entry for ${pattern}`);
+                continue;
+            }
+            addedPaths[pattern] = targets.map(target => {
+                const relativePath = toPosix(path.relative(baseUrl, path.resolve(targetDir, target))) || '.';
+                return relativePath === '.' || relativePath.startsWith('..') ? relativePath : `./${relativePath}`;
+            });
+        }
+
+        config.compilerOptions.paths = { ...existingPaths, ...addedPaths };
+
+        await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+        for (const pattern of Object.keys(addedPaths)) {
+            logger.success(`Added ${pattern} → ${addedPaths[pattern].join(', ')} to ${configName} paths`);
+        }
+    }
+
+    for (const { alias, reason } of unsupported) {
+        logger.todo(`Alias ${alias} could not be migrated because ${reason}, add it to tsconfig paths or next.config by hand`, {
+            file: projectSetup.viteConfig.file
+        });
+    }
+
+    logger.stepComplete();
+    return true;
+}
@@ -0,0 +1,314 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { buildChangePlan } from './changePlan.js';
+import { applyConfigOverrides, loadConfig, mergeConfigOptions } from './config.js';
+import { createCheckpoint, getTrackedChanges, previewChanges, startTracking } from './fileSystem.js';
+import { commitStep, createBranch, DEFAULT_MIGRATION_BRANCH, getUncommittedFiles, isGitRepository } from './git.js';
+import { logger } from './logger.js';
+import { OUTPUT_MODES, resolveOptimizeCss } from './nextConfig.js';
+import { detectProjectSetup, detectWorkspace, isViteProject } from './projectSetup.js';
+import { writeReport } from './report.js';
+import { createSnapshot, loadSnapshot, restoreSnapshot, setSnapshotStatus } from './snapshot.js';
+import { migrationSteps, selectSteps } from './steps.js';
+
+export { loadConfig } from './config.js';
+export { runDoctor } from './doctor.js';
+export { detectProjectSetup, detectWorkspace, isViteProject } from './projectSetup.js';
+export { migrationSteps, selectSteps } from './steps.js';
+
+function validateProjectDirectory(targetDir) {
+    if (!fs.existsSync(targetDir)) {
+        throw new Error(`Directory ${targetDir} does not exist`);
+    }
+
+    if (!fs.existsSync(path.join(targetDir, 'package.json'))) {
+        throw new Error(`No package.json found in ${targetDir}`);
+    }
+}
+
+// Copy the migration options onto the setup object every step receives
+export function applyOptions(projectSetup, options) {
+    if (options.forceNpm) {
+        projectSetup.packageManager = 'npm';
+    }
+
+    if (options.appDir) {
+        projectSetup.customAppDir = options.appDir;
+    }
+
+    if (options.nextVersion) {
+        projectSetup.nextVersion = options.nextVersion;
+    }
+
+    if (options.output) {
+        if (!OUTPUT_MODES.includes(options.output)) {
+            throw new Error(`Invalid output mode "${options.output}". Expected one of: ${OUTPUT_MODES.join(', ')}`);
+        }
+        projectSetup.output = options.output;
+    }
+
+    if (options.verbose) {
+        projectSetup.verbose = true;
+    }
+
+    return projectSetup;
+}
+
+// Decide whether and how a step runs: a recorded answer is replayed as is, otherwise
+// options.review is shown the step's preview and detected choices and returns
+// { action: 'run' | 'skip', settings }. Without either the step runs unchanged.
+async function reviewStep(targetDir, step, projectSetup, options, settings) {
+    if (options.answers?.[step.name]) {
+        return options.answers[step.name];
+    }
+
+    if (!options.review) {
+        return { action: 'run' };
+    }
+
+    const choices = step.choices ? await step.choices(targetDir, projectSetup, settings) : [];
+    const changes = await logger.quietly(() => previewChanges(() =>
+        step.run(targetDir, projectSetup, { ...options, dryRun: true }, settings)
+    ));
+
+    const answer = await options.review({
+        step: { name: step.name, title: step.title },
+        changes: buildChangePlan(changes, targetDir),
+        choices
+    });
+
+    return { action: answer?.action === 'skip' ? 'skip' : 'run', settings: answer?.settings || {} };
+}
+
+// Run the selected steps, recording each one's status, duration and file changes in stepResults
+// and the review answers in answers
+async function runSteps(targetDir, options, projectSetup, steps, stepResults, answers) {
+    logger.init(steps.length);
+
+    for (const step of migrationSteps) {
+        stepResults.push({
+            name: step.name,
+            title: step.title,
+            status: steps.includes(step) ? 'not-run' : 'skipped',
+            durationMs: 0,
+            files: summarizeChanges([])
+        });
+    }
+
+    for (const step of steps) {
+        const stepResult = stepResults.find(result => result.name === step.name);
+        const configSettings = options.config?.steps?.[step.name] || {};
+
+        const answer = await reviewStep(targetDir, step, projectSetup, options, configSettings);
+        answers[step.name] = answer;
+        if (answer.action === 'skip') {
+            stepResult.status = 'skipped';
+            logger.info(`Skipped ${step.name}`);
+            continue;
+        }
+
+        const settings = { ...configSettings, ...answer.settings };
+        const checkpoint = createCheckpoint();
+        const startTime = Date.now();
+
+        logger.setCurrentStep(step.name);
+
+        try {
+            await step.run(targetDir, projectSetup, options, settings);
+            stepResult.status = 'completed';
+        } catch (error) {
+            stepResult.status = 'failed';
+            error.step = step.name;
+            throw error;
+        } finally {
+            stepResult.durationMs = Date.now() - startTime;
+            stepResult.files = summarizeChanges(buildChangePlan(getTrackedChanges(checkpoint), targetDir));
+        }
+
+        if (options.commit && !options.dryRun) {
+            stepResult.commit = await commitStep(targetDir, step, stepResult.files);
+            if (stepResult.commit) {
+                logger.detail(`Committed ${step.name} as ${stepResult.commit}`);
+            }
+        }
+    }
+}
+
+// Refuse to migrate a dirty working tree unless allowed, and set up the migration branch
+async function prepareGit(targetDir, options) {
+    if (options.dryRun) {
+        return;
+    }
+
+    const isRepository = await isGitRepository(targetDir);
+    if (!isRepository) {
+        if (options.branch || options.commit) {
+            throw new Error(`${targetDir} is not inside a git repository, cannot use --branch or --commit`);
+        }
+        return;
+    }
+
+    const uncommitted = await getUncommittedFiles(targetDir);
+    if (uncommitted.length > 0 && !options.allowDirty) {
+        throw new Error(
+            `The working tree has uncommitted changes (${uncommitted.slice(0, 5).join(', ')}${uncommitted.length > 5 ? ', ...' : ''}). ` +
+            'Commit or stash them first, or pass --allow-dirty'
+        );
+    }
+
+    if (options.branch) {
+        const branch = options.branch === true ? DEFAULT_MIGRATION_BRANCH : options.branch;
+        await createBranch(targetDir, branch);
+        logger.info(`Created branch ${branch}`);
+    }
+}
+
+// Glob patterns that keep the steps out of workspace packages nested below targetDir,
+// e.g. shared libraries inside an app at the workspace root. Throws for a workspace
+// root that is not an app itself, which has to be migrated one app at a time.
+async function getWorkspaceIgnores(targetDir) {
+    const workspace = await detectWorkspace(targetDir);
+    if (!workspace) {
+        return [];
+    }
+
+    if (workspace.isRoot && !isViteProject(targetDir)) {
+        const apps = workspace.packages.filter(workspacePackage => workspacePackage.isViteApp);
+        throw new Error(
+            `${targetDir} is a workspace root, migrate its Vite apps one by one` +
+            (apps.length > 0 ? `: ${apps.map(app => app.path).join(', ')}` : ' (none found)')
+        );
+    }
+
+    return workspace.packages
+        .map(workspacePackage => path.relative(targetDir, workspacePackage.dir))
+        .filter(relativePath => relativePath && !relativePath.startsWith('..'))
+        .map(relativePath => `${relativePath.split(path.sep).join('/')}/**`);
+}
+
+function summarizeChanges(plan) {
+    const files = { created: [], modified: [], deleted: [], moved: [] };
+
+    for (const entry of plan) {
+        if (entry.type === 'create') files.created.push(entry.path);
+        else if (entry.type === 'modify') files.modified.push(entry.path);
+        else if (entry.type === 'delete') files.deleted.push(entry.path);
+        else files.moved.push({ from: entry.from, to: entry.path });
+    }
+
+    return files;
+}
+
+// Migrate the Vite project in targetDir without prompting or exiting the process.
+// Output is silent unless options.silent is false. Rejects when a step fails, after
+// restoring every file the migration touched; the error's `result` holds the partial run.
+// With options.report, a JSON report is written either way. options.review and
+// options.answers control the interactive review of each step, see reviewStep.
+export async function migrate(targetDir, migrateOptions = {}) {
+    const resolvedDir = path.resolve(targetDir);
+    validateProjectDirectory(resolvedDir);
+
+    // vite2next.config is picked up from the project unless a config object (or false) is passed
+    const config = migrateOptions.config !== undefined
+        ? migrateOptions.config || null
+        : await loadConfig(resolvedDir);
+    const workspaceIgnores = await getWorkspaceIgnores(resolvedDir);
+    const options = { ...mergeConfigOptions(config, migrateOptions), config };
+
+    logger.configure({ silent: options.silent !== false });
+
+    const projectSetup = applyOptions(
+        { ...(options.projectSetup || applyConfigOverrides(await detectProjectSetup(resolvedDir), config)) },
+        options
+    );
+
+    // Validate --only/--skip before anything is touched
+    const steps = selectSteps(resolvedDir, projectSetup, options);
+    projectSetup.optimizeCss = resolveOptimizeCss(resolvedDir, projectSetup, steps);
+
+    await prepareGit(resolvedDir, options);
+
+    // Every file a step touches is backed up first so a failed run can be restored
+    const snapshot = options.dryRun ? null : createSnapshot(resolvedDir, projectSetup.workspace?.root);
+
+    // In dry-run mode every step works against an in-memory view of the project
+    startTracking({ dryRun: options.dryRun, snapshot, ignore: [...(config?.ignore || []), ...workspaceIgnores] });
+
+    const startTime = Date.now();
+    const stepResults = [];
+    const answers = {};
+
+    const buildResult = (status, error) => {
+        const plan = buildChangePlan(getTrackedChanges(), resolvedDir);
+
+        return {
+            targetDir: resolvedDir,
+            status,
+            dryRun: !!options.dryRun,
+            durationMs: Date.now() - startTime,
+            snapshotId: snapshot ? snapshot.manifest.id : null,
+            projectSetup,
+            steps: stepResults,
+            answers,
+            files: summarizeChanges(plan),
+            changes: plan,
+            warnings: logger.getWarnings(),
+            todos: logger.getTodos(),
+            error: error ? { message: error.message, step: error.step || null, restored: error.restored ?? null } : null
+        };
+    };
+
+    try {
+        await runSteps(resolvedDir, options, projectSetup, steps, stepResults, answers);
+    } catch (error) {
+        if (snapshot) {
+            logger.info('Restoring project files from snapshot...');
+            try {
+                const restored = await restoreSnapshot(snapshot);
+                logger.success(`Restored ${restored} files, the project is back to its previous state`);
+                logger.detail('Dependencies installed during the migration may need to be reinstalled');
+                if (options.commit) {
+                    logger.detail('Commits made for earlier steps are kept, reset the branch to drop them');
+                }
+                error.restored = true;
+            } catch (restoreError) {
+                logger.error('Could not restore the snapshot', restoreError.message);
+                logger.detail(`Original files are kept in ${path.relative(resolvedDir, snapshot.dir)}`);
+                error.restored = false;
+            }
+        }
+
+        // The partial result describes what happened up to the failure
+        error.result = buildResult('failed', error);
+        if (options.report) {
+            await writeReport(options.report, error.result);
+        }
+        throw error;
+    }
+
+    if (snapshot) {
+        setSnapshotStatus(snapshot, 'completed');
+    }
+
+    const result = buildResult('completed');
+    if (options.report) {
+        result.reportPath = await writeReport(options.report, result);
+    }
+
+    return result;
+}
+
+// Undo a completed migration from its snapshot manifest
+export async function rollback(targetDir, options = {}) {
+    const resolvedDir = path.resolve(targetDir);
+    const snapshot = await loadSnapshot(resolvedDir, options.id);
+
+    if (!snapshot) {
+        throw new Error(options.id
+            ? `No migration snapshot ${options.id} found in ${resolvedDir}`
+            : `No migration snapshot to roll back found in ${resolvedDir}`);
+    }
+
+    const restored = await restoreSnapshot(snapshot);
+    return { snapshotId: snapshot.manifest.id, restored };
+}
@@ -0,0 +1,53 @@
+import path from 'path';
+import fs, { glob } from './fileSystem.js';
+import { isExpression } from './viteConfig.js';
+
+// Vite's `base` as Next.js basePath/assetPrefix: '/portal/' serves the whole app under
+// /portal, a full URL only moves the assets to another origin. Relative bases ('./')
+// have no equivalent.
+export function resolveViteBase(viteConfig) {
+    const base = viteConfig?.config?.base;
+
+    if (base === undefined || base === '/' || base === '') {
+        return {};
+    }
+    if (isExpression(base) || typeof base !== 'string') {
+        return { unsupported: 'base is computed when the config runs' };
+    }
+    if (base.startsWith('.')) {
+        return { unsupported: `relative base "${base}" has no Next.js equivalent` };
+    }
+    if (/^https?:\/\//.test(base)) {
+        return { assetPrefix: base.replace(/\/$/, '') };
+    }
+
+    return { basePath: `/${base.replace(/^\/+|\/+$/g, '')}` };
+}
+
+// build.outDir, when it differs from Vite's default
+export function resolveViteOutDir(viteConfig) {
+    const outDir = viteConfig?.config?.build?.outDir;
+    return typeof outDir === 'string' && outDir !== 'dist' ? outDir.replace(/^\.\//, '') : null;
+}
+
+// Source lines that spell out the base path, which next/link and the router add themselves
+export async function findHardcodedBasePaths(targetDir, basePath) {
+    const escaped = basePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(?:['"\`]|url\\(\\s*)${escaped}(?=[/'"\`?#)])`);
+    const files = await glob('**/*.{js,jsx,ts,tsx,mjs,cjs,css,scss,sass,less,html}', {
+        cwd: targetDir,
+        ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'out/**', 'public/**', 'next.config.*', '.vite2next/**']
+    });
+
+    const matches = [];
+    for (const file of files.sort()) {
+        const content = await fs.readFile(path.join(targetDir, file), 'utf8');
+        content.split('\n').forEach((lineContent, index) => {
+            if (pattern.test(lineContent)) {
+                matches.push({ file, line: index + 1 });
+            }
+        });
+    }
+
+    return matches;
+}
@@ -0,0 +1,69 @@
+import { createTwoFilesPatch } from 'diff';
+import path from 'path';
+
+function isBinary(content) {
+    return content.includes(0);
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+function createDiff(relativePath, before, after) {
+    if ((before && isBinary(before)) || (after && isBinary(after))) {
+        return 'Binary file';
+    }
+
+    return createTwoFilesPatch(
+        before ? `a/${relativePath}` : '/dev/null',
+        after ? `b/${relativePath}` : '/dev/null',
+        before ? before.toString('utf8') : '',
+        after ? after.toString('utf8') : '',
+        undefined,
+        undefined,
+        { context: 3 }
+    );
+}
+
+// Turn the changes recorded by fileSystem.js into a per-file create/modify/delete/move plan
+export function buildChangePlan(changes, targetDir) {
+    const plan = [];
+    const created = changes.filter(change => change.before === null);
+    const deleted = changes.filter(change => change.after === null);
+    const movedTo = new Set();
+
+    for (const change of deleted) {
+        // A file deleted and recreated elsewhere with the same content was moved
+        const destination = created.find(candidate => !movedTo.has(candidate) && candidate.after.equals(change.before));
+        const relativePath = toPosix(path.relative(targetDir, change.path));
+
+        if (destination) {
+            movedTo.add(destination);
+            plan.push({
+                type: 'move',
+                path: toPosix(path.relative(targetDir, destination.path)),
+                from: relativePath,
+                diff: ''
+            });
+        } else {
+            plan.push({
+                type: 'delete',
+                path: relativePath,
+                diff: createDiff(relativePath, change.before, null)
+            });
+        }
+    }
+
+    for (const change of changes) {
+        if (change.after === null || movedTo.has(change)) continue;
+
+        const relativePath = toPosix(path.relative(targetDir, change.path));
+        plan.push({
+            type: change.before === null ? 'create' : 'modify',
+            path: relativePath,
+            diff: createDiff(relativePath, change.before, change.after)
+        });
+    }
+
+    return plan.sort((a, b) => a.path.localeCompare(b.path));
+}
@@ -1,10 +1,14 @@
-import fs from 'fs-extra';
 import path from 'path';
+import fs from './fileSystem.js';
 import { logger } from './logger.js';
+import { isVitestPackage } from './vitest.js';
 
-export async function cleanupViteFiles(targetDir) {
+export async function cleanupViteFiles(targetDir, projectSetup, settings = {}) {
     logger.startStep('Cleaning up Vite files');
 
+    // Files the config asks to keep, e.g. `steps.cleanup.keep: ['src/App.css']`
+    const keep = (settings.keep || []).map(file => path.join(targetDir, file));
+
     const filesToRemove = [
         'main.tsx',
         'main.jsx',
@@ -59,9 +63,19 @@ export async function cleanupViteFiles(targetDir) {
 
     for (const file of filesToRemove) {
         const filePath = path.join(targetDir, file);
+        if (keep.includes(filePath)) {
+            logger.detail(`Keeping ${file}`);
+            continue;
+        }
         if (fs.existsSync(filePath)) {
             await fs.remove(filePath);
             logger.success(`Removed ${file}`);
+            if (file === 'index.html' && projectSetup.indexHtml) {
+                // Read when the project was detected, the layout step still has it
+                logger.detail('Its <head> becomes the metadata of the root layout');
+            } else if (projectSetup.entry?.file === path.relative(targetDir, filePath).replace(/\\/g, '/') && !projectSetup.entry.error) {
+                logger.detail('The providers it rendered the App component in move to the generated providers');
+            }
             removedCount++;
         }
     }
@@ -94,13 +108,16 @@ export async function cleanupViteFiles(targetDir) {
             updated = true;
         }
 
-        // Remove related Vite plugins
+        // Remove related Vite plugins, except the test tooling Vitest still needs
         const vitePluginPattern = /(vite|@vitejs)/;
+        const keptPackages = new Set();
         let removeCount = 0;
 
         if (packageJson.dependencies) {
             for (const dep in packageJson.dependencies) {
-                if (vitePluginPattern.test(dep)) {
+                if (vitePluginPattern.test(dep) && isVitestPackage(dep, projectSetup)) {
+                    keptPackages.add(dep);
+                } else if (vitePluginPattern.test(dep)) {
                     delete packageJson.dependencies[dep];
                     removeCount++;
                     updated = true;
@@ -110,7 +127,9 @@ export async function cleanupViteFiles(targetDir) {
 
         if (packageJson.devDependencies) {
             for (const dep in packageJson.devDependencies) {
-                if (vitePluginPattern.test(dep)) {
+                if (vitePluginPattern.test(dep) && isVitestPackage(dep, projectSetup)) {
+                    keptPackages.add(dep);
+                } else if (vitePluginPattern.test(dep)) {
                     delete packageJson.devDependencies[dep];
                     removeCount++;
                     updated = true;
@@ -120,6 +139,10 @@ export async function cleanupViteFiles(targetDir) {
 
         logger.stopSpinner(true, 'Dependency check completed');
 
+        if (keptPackages.size > 0) {
+            logger.info(`Kept ${[...keptPackages].join(', ')} for Vitest`);
+        }
+
         if (updated) {
             logger.startSpinner('Updating package.json');
             await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
@@ -3,18 +3,11 @@ import { program } from 'commander';
 import fs from 'fs-extra';
 import inquirer from 'inquirer';
 import path from 'path';
-import { cleanupViteFiles } from './cleanup.js';
-import { migrateDependencies } from './dependencies.js';
-import { createEntrypoint } from './entrypoint.js';
-import { migrateEnvVars } from './envVars.js';
-import { updateImageImports } from './images.js';
-import { displayBanner, displayCompletionMessage, displayMigrationSteps, displayNextSteps, logger } from './logger.js';
-import { createNextConfig } from './nextConfig.js';
-import { updatePackageJson } from './packageJson.js';
-import { createRootLayout } from './rootLayout.js';
-import { migrateReactRouter } from './routerMigration.js';
-import { migrateStaticAssets } from './staticAssets.js';
-import { updateTsConfig } from './tsConfig.js';
+import { applyOptions, detectProjectSetup, detectWorkspace, isViteProject, migrate, rollback, runDoctor, selectSteps } from './api.js';
+import { applyConfigOverrides, loadConfig, mergeConfigOptions } from './config.js';
+import { displayBanner, displayChangePlan, displayCompletionMessage, displayDoctorReport, displayMigrationSteps, displayNextSteps, displayStepReview, logger } from './logger.js';
+import { DEFAULT_NEXT_VERSION } from './nextVersions.js';
+import { loadSnapshot } from './snapshot.js';
 
 async function validateProjectDirectory(targetDir) {
     if (!fs.existsSync(targetDir)) {
@@ -31,14 +24,8 @@ async function validateProjectDirectory(targetDir) {
     return packageJsonPath;
 }
 
-async function confirmViteProject(packageJsonPath, skipConfirmation) {
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-    const hasVite = packageJson.dependencies?.vite ||
-        packageJson.devDependencies?.vite ||
-        fs.existsSync(path.join(path.dirname(packageJsonPath), 'vite.config.js')) ||
-        fs.existsSync(path.join(path.dirname(packageJsonPath), 'vite.config.ts'));
-
-    if (!hasVite && !skipConfirmation) {
+async function confirmViteProject(targetDir, skipConfirmation) {
+    if (!isViteProject(targetDir) && !skipConfirmation) {
         const { confirm } = await inquirer.prompt([{
             type: 'confirm',
             name: 'confirm',
@@ -69,136 +56,287 @@ async function confirmMigration(skipConfirmation) {
     }
 }
 
-async function detectProjectSetup(targetDir) {
-    const packageJsonPath = path.join(targetDir, 'package.json');
-    const setup = {
-        useTailwind: false,
-        usesTypeScript: false,
-        usesReactRouter: false,
-        cssFramework: 'none',
-        packageManager: 'npm'
-    };
-
-    // Check for TypeScript
-    setup.usesTypeScript = fs.existsSync(path.join(targetDir, 'tsconfig.json'));
-
-    if (fs.existsSync(packageJsonPath)) {
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-
-        // Detect package manager from lock files (in order of priority)
-        if (fs.existsSync(path.join(targetDir, 'yarn.lock'))) {
-            setup.packageManager = 'yarn';
-        } else if (fs.existsSync(path.join(targetDir, 'pnpm-lock.yaml'))) {
-            setup.packageManager = 'pnpm';
-        } else if (fs.existsSync(path.join(targetDir, 'bun.lockb'))) {
-            setup.packageManager = 'bun';
-        }
+const OTHER_PATH = Symbol('other');
 
-        // Also check package.json for packageManager field (npm v7+)
-        if (packageJson.packageManager) {
-            const pmField = packageJson.packageManager;
-            if (pmField.startsWith('yarn@')) {
-                setup.packageManager = 'yarn';
-            } else if (pmField.startsWith('pnpm@')) {
-                setup.packageManager = 'pnpm';
-            } else if (pmField.startsWith('bun@')) {
-                setup.packageManager = 'bun';
-            } else if (pmField.startsWith('npm@')) {
-                setup.packageManager = 'npm';
-            }
-        }
+async function promptChoice(choice) {
+    if (choice.type === 'files') {
+        const { files } = await inquirer.prompt([{
+            type: 'checkbox',
+            name: 'files',
+            message: choice.message,
+            choices: choice.candidates,
+            default: choice.value
+        }]);
+        return files;
+    }
 
-        // Check for React Router
-        setup.usesReactRouter = !!packageJson.dependencies?.['react-router-dom'] ||
-            !!packageJson.dependencies?.['react-router'];
-
-        // Detect CSS frameworks
-        if (packageJson.dependencies?.tailwindcss || packageJson.devDependencies?.tailwindcss) {
-            setup.useTailwind = true;
-            setup.cssFramework = 'tailwind';
-        } else if (packageJson.dependencies?.['styled-components']) {
-            setup.cssFramework = 'styled-components';
-        } else if (packageJson.dependencies?.['@emotion/react'] || packageJson.dependencies?.['@emotion/styled']) {
-            setup.cssFramework = 'emotion';
-        } else if (packageJson.dependencies?.['@mui/material']) {
-            setup.cssFramework = 'mui';
-        } else if (packageJson.dependencies?.['@chakra-ui/react']) {
-            setup.cssFramework = 'chakra';
-        }
+    const { file } = await inquirer.prompt([{
+        type: 'list',
+        name: 'file',
+        message: choice.message,
+        choices: [
+            ...choice.candidates,
+            ...(choice.optional ? [{ name: 'None', value: false }] : []),
+            { name: 'Other path...', value: OTHER_PATH }
+        ],
+        default: choice.value
+    }]);
+
+    if (file !== OTHER_PATH) {
+        return file;
     }
 
-    // Check for Tailwind config files if not found in dependencies
-    if (!setup.useTailwind) {
-        const tailwindConfigPath = path.join(targetDir, 'tailwind.config.js');
-        const tailwindConfigTsPath = path.join(targetDir, 'tailwind.config.ts');
-        if (fs.existsSync(tailwindConfigPath) || fs.existsSync(tailwindConfigTsPath)) {
-            setup.useTailwind = true;
-            setup.cssFramework = 'tailwind';
+    const { customPath } = await inquirer.prompt([{
+        type: 'input',
+        name: 'customPath',
+        message: `${choice.message} (relative to the project)`,
+        default: choice.value || undefined
+    }]);
+    return customPath;
+}
+
+// Ask before every step whether to run it as previewed, with other choices, or not at all
+async function reviewStep(review) {
+    let showDiffs = false;
+
+    while (true) {
+        displayStepReview(review, showDiffs);
+
+        const { action } = await inquirer.prompt([{
+            type: 'list',
+            name: 'action',
+            message: `What should ${review.step.name} do?`,
+            choices: [
+                { name: 'Run this step', value: 'run' },
+                ...(review.choices.length > 0 ? [{ name: 'Change choices and run', value: 'change' }] : []),
+                ...(!showDiffs && review.changes.some(change => change.diff) ? [{ name: 'Show diffs', value: 'diffs' }] : []),
+                { name: 'Skip this step', value: 'skip' }
+            ]
+        }]);
+
+        if (action === 'diffs') {
+            showDiffs = true;
+            continue;
         }
 
-        if (!setup.useTailwind) {
-            const postcssConfigPath = path.join(targetDir, 'postcss.config.js');
-            if (fs.existsSync(postcssConfigPath)) {
-                const content = fs.readFileSync(postcssConfigPath, 'utf8');
-                if (content.includes('tailwindcss')) {
-                    setup.useTailwind = true;
-                    setup.cssFramework = 'tailwind';
-                }
+        if (action === 'change') {
+            const settings = {};
+            for (const choice of review.choices) {
+                settings[choice.name] = await promptChoice(choice);
             }
+            return { action: 'run', settings };
         }
+
+        return { action };
+    }
+}
+
+async function loadAnswers(answersPath, interactive) {
+    if (fs.existsSync(answersPath)) {
+        return fs.readJSON(answersPath);
+    }
+
+    // An interactive run records into a new answers file, a replay needs an existing one
+    if (!interactive) {
+        throw new Error(`Answers file ${answersPath} does not exist`);
     }
 
-    return setup;
+    return {};
+}
+
+async function saveAnswers(answersPath, answers) {
+    await fs.ensureDir(path.dirname(answersPath));
+    await fs.writeFile(answersPath, JSON.stringify(answers, null, 2));
+    logger.info(`Answers saved to ${answersPath}, replay them with --answers ${path.relative(process.cwd(), answersPath)}`);
 }
 
 async function runMigration(targetDir, options, projectSetup) {
+    const startTime = Date.now();
+
+    // Interactive answers are recorded to .vite2next/answers.json unless --answers names
+    // a file, which a later run replays without prompting
+    const answersPath = options.answers
+        ? path.resolve(process.cwd(), options.answers)
+        : path.join(targetDir, '.vite2next', 'answers.json');
+    const answers = options.answers || options.interactive
+        ? await loadAnswers(answersPath, options.interactive)
+        : undefined;
+    const recordAnswers = options.interactive && (!options.dryRun || options.answers);
+
     try {
-        const startTime = Date.now();
+        const result = await migrate(targetDir, {
+            ...options,
+            projectSetup,
+            answers,
+            review: options.interactive ? reviewStep : undefined,
+            silent: false
+        });
+
+        if (recordAnswers) {
+            await saveAnswers(answersPath, result.answers);
+        }
+
+        if (result.reportPath) {
+            logger.info(`Migration report written to ${result.reportPath}`);
+        }
+
+        if (options.dryRun) {
+            displayChangePlan(result.changes);
+            return;
+        }
+
+        displayCompletionMessage(startTime);
+        logger.info(`Run "vite2next rollback" to undo this migration (snapshot ${result.snapshotId})`);
+        displayNextSteps(result.projectSetup);
+    } catch (error) {
+        logger.error('Error during migration', error.message);
+        console.error(error);
+        if (error.result && recordAnswers) {
+            await saveAnswers(answersPath, error.result.answers);
+        }
+        if (error.result && options.report) {
+            logger.info(`Migration report written to ${path.resolve(process.cwd(), options.report)}`);
+        }
+        process.exit(1);
+    }
+}
 
-        // Determine total steps based on project setup
-        let totalSteps = 9; // Base steps
-        if (projectSetup.usesReactRouter) totalSteps++;
-        if (projectSetup.useTailwind) totalSteps++;
+async function confirmRollback(targetDir, options) {
+    const snapshot = await loadSnapshot(targetDir, options.id);
 
-        logger.init(totalSteps);
+    if (!snapshot) {
+        return;
+    }
+
+    logger.info(`Rolling back migration ${snapshot.manifest.id} (${snapshot.manifest.status})`);
+
+    if (!options.yes) {
+        const { proceed } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'proceed',
+            message: `Restore ${snapshot.manifest.files.length} files to their state before the migration?`,
+            default: true
+        }]);
 
-        // Step 1: Cleanup phase - remove Vite files and dependencies
-        await cleanupViteFiles(targetDir);
+        if (!proceed) {
+            logger.warning('Rollback cancelled');
+            process.exit(0);
+        }
+    }
+}
 
-        // Step 2: Setup Next.js dependencies
-        await migrateDependencies(targetDir, options.skipInstall, projectSetup);
+// On a workspace root that is not an app itself, migrate the apps named with --workspace
+// or picked from the Vite apps found in the workspace. Shared libraries are left alone.
+async function selectWorkspaceApps(targetDir, options) {
+    const workspace = fs.existsSync(targetDir) ? await detectWorkspace(targetDir) : null;
+    const isRootApp = fs.existsSync(path.join(targetDir, 'package.json')) && isViteProject(targetDir);
 
-        // Steps 3-5: Create Next.js configuration and structure
-        await createNextConfig(targetDir, projectSetup);
-        if (projectSetup.usesTypeScript) {
-            await updateTsConfig(targetDir);
+    if (!workspace?.isRoot || isRootApp) {
+        if (options.workspace) {
+            throw new Error(`--workspace can only be used on a workspace root, ${targetDir} is not one`);
         }
+        return [targetDir];
+    }
+
+    const apps = workspace.packages.filter(workspacePackage => workspacePackage.isViteApp);
+    logger.info(`Detected ${workspace.packageManager} workspace with ${workspace.packages.length} packages`);
+    for (const workspacePackage of workspace.packages) {
+        logger.detail(`- ${workspacePackage.path} (${workspacePackage.name})${workspacePackage.isViteApp ? ': Vite app' : ''}`);
+    }
+
+    if (options.workspace) {
+        return options.workspace.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+            const match = workspace.packages.find(workspacePackage =>
+                workspacePackage.name === name || workspacePackage.path === name.replace(/\/$/, ''));
+
+            if (!match) {
+                throw new Error(`No workspace package "${name}". Available packages: ${workspace.packages.map(p => p.path).join(', ')}`);
+            }
+            if (!match.isViteApp) {
+                throw new Error(`${match.path} is not a Vite app, workspace libraries are not migrated`);
+            }
+            return match.dir;
+        });
+    }
+
+    if (apps.length === 0) {
+        throw new Error(`No Vite apps found in the workspace at ${targetDir}`);
+    }
 
-        // Create root layout (handles CSS frameworks)
-        await createRootLayout(targetDir, projectSetup);
+    if (options.yes) {
+        return apps.map(app => app.dir);
+    }
+
+    const { selected } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Which workspace apps do you want to migrate?',
+        choices: apps.map(app => ({ name: `${app.path} (${app.name})`, value: app.dir, checked: true })),
+        validate: (answer) => answer.length > 0 || 'Select at least one app'
+    }]);
+
+    return selected;
+}
+
+// Migrate a single project, asking for confirmation along the way unless -y is given
+async function migrateProject(targetDir, cliOptions, command) {
+    await validateProjectDirectory(targetDir);
+
+    // Flags given on the command line take precedence over the config file
+    const config = await loadConfig(targetDir, cliOptions.config);
+    const options = mergeConfigOptions(config, cliOptions, key => command.getOptionValueSource(key) === 'cli');
+
+    if (config) {
+        logger.info(`Using config from ${config.path}`);
+    }
 
-        // Create entrypoint files
-        await createEntrypoint(targetDir, projectSetup);
+    await confirmViteProject(targetDir, options.yes);
 
-        // Additional migration steps for content and functionality
-        await updateImageImports(targetDir);
-        await migrateEnvVars(targetDir);
-        await updatePackageJson(targetDir, projectSetup);
+    // Detect project setup
+    const projectSetup = applyConfigOverrides(await detectProjectSetup(targetDir), config);
+
+    // Override package manager if --force-npm is used
+    if (options.forceNpm) {
+        projectSetup.packageManager = 'npm';
+        logger.info('Forcing npm as package manager');
+    }
+
+    // Optional Tailwind check
+    if (!projectSetup.useTailwind && !options.skipTailwindCheck) {
+        const { proceed } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'proceed',
+            message: 'Tailwind CSS not detected in your project. The migration works best with Tailwind projects. Continue anyway?',
+            default: false
+        }]);
 
-        // Optional steps based on project setup
-        if (projectSetup.usesReactRouter) {
-            await migrateReactRouter(targetDir, projectSetup);
+        if (!proceed) {
+            logger.warning('Migration cancelled');
+            process.exit(0);
         }
+    }
 
-        await migrateStaticAssets(targetDir);
+    logger.info(`Detected project configuration:`);
+    logger.detail(`- TypeScript: ${projectSetup.usesTypeScript ? 'Yes' : 'No'}`);
+    logger.detail(`- CSS Framework: ${projectSetup.cssFramework}`);
+    logger.detail(`- React Router: ${projectSetup.usesReactRouter ? 'Yes' : 'No'}`);
+    logger.detail(`- Vitest: ${projectSetup.usesVitest ? 'Yes' : 'No'}`);
+    logger.detail(`- Package Manager: ${projectSetup.packageManager}`);
+    if (projectSetup.viteConfig) {
+        logger.detail(`- Vite config: ${projectSetup.viteConfig.file}${projectSetup.viteConfig.error ? ' (could not be read)' : ''}`);
+    }
+    if (projectSetup.workspace) {
+        logger.detail(`- Workspace: ${projectSetup.workspace.packagePath} in ${projectSetup.workspace.root}`);
+    }
 
-        displayCompletionMessage(startTime);
-        displayNextSteps(projectSetup);
-    } catch (error) {
-        logger.error('Error during migration', error.message);
-        console.error(error);
-        process.exit(1);
+    displayMigrationSteps(selectSteps(targetDir, applyOptions({ ...projectSetup }, options), options));
+
+    if (options.dryRun) {
+        logger.info('Dry run: no files will be written');
     }
+
+    await confirmMigration(options.yes || options.dryRun);
+    await runMigration(targetDir, { ...options, config }, projectSetup);
 }
 
 async function main() {
@@ -214,68 +352,81 @@ async function main() {
             .option('--skip-install', 'Skip installing dependencies', false)
             .option('--skip-tailwind-check', 'Skip Tailwind CSS requirement check', false)
             .option('--app-dir <dir>', 'Specify a custom source directory instead of src/app', '')
-            .option('--next-version <version>', 'Specify Next.js version to use', '14.0.0')
+            .option('--next-version <version>', `Specify Next.js version to use (default: the one in package.json, else ${DEFAULT_NEXT_VERSION})`)
+            .option('--output <mode>', 'Next.js output mode: export (static site), standalone or server', 'server')
             .option('--force-npm', 'Force using npm regardless of detected package manager', false)
             .option('--verbose', 'Show detailed logs during migration', false)
-            .action(async (projectDir, options) => {
+            .option('--dry-run', 'Show the planned changes as unified diffs without writing any files', false)
+            .option('--only <steps>', 'Only run the given comma-separated migration steps')
+            .option('--skip <steps>', 'Skip the given comma-separated migration steps')
+            .option('--allow-dirty', 'Migrate even if the git working tree has uncommitted changes', false)
+            .option('--branch [name]', 'Create a git branch for the migration (defaults to vite2next-migration)')
+            .option('--commit', 'Commit the changes of each migration step separately', false)
+            .option('--interactive', 'Review each step before it runs and choose whether and how to run it', false)
+            .option('--answers <file>', 'Replay the answers recorded by an earlier --interactive run')
+            .option('--report <file>', 'Write a JSON report of the migration to the given file')
+            .option('--config <file>', 'Path to a vite2next config file (defaults to vite2next.config.{js,mjs,json} in the project)')
+            .option('--workspace <apps>', 'Comma-separated workspace apps (package names or paths) to migrate when run on a workspace root')
+            .action(async (projectDir, cliOptions, command) => {
                 try {
                     const targetDir = path.resolve(process.cwd(), projectDir);
-                    const packageJsonPath = await validateProjectDirectory(targetDir);
 
-                    await confirmViteProject(packageJsonPath, options.yes);
-
-                    // Detect project setup
-                    const projectSetup = await detectProjectSetup(targetDir);
-
-                    // Override package manager if --force-npm is used
-                    if (options.forceNpm) {
-                        projectSetup.packageManager = 'npm';
-                        logger.info('Forcing npm as package manager');
-                    }
-
-                    // Optional Tailwind check
-                    if (!projectSetup.useTailwind && !options.skipTailwindCheck) {
-                        const { proceed } = await inquirer.prompt([{
-                            type: 'confirm',
-                            name: 'proceed',
-                            message: 'Tailwind CSS not detected in your project. The migration works best with Tailwind projects. Continue anyway?',
-                            default: false
-                        }]);
-
-                        if (!proceed) {
-                            logger.warning('Migration cancelled');
-                            process.exit(0);
+                    for (const appDir of await selectWorkspaceApps(targetDir, cliOptions)) {
+                        if (appDir !== targetDir) {
+                            logger.newLine();
+                            logger.info(`Migrating workspace app ${path.relative(targetDir, appDir)}`);
                         }
+                        await migrateProject(appDir, cliOptions, command);
                     }
-
-                    // Apply CLI options to the project setup
-                    if (options.appDir) {
-                        projectSetup.customAppDir = options.appDir;
+                } catch (error) {
+                    logger.error('Error during migration process', error.message);
+                    if (cliOptions.verbose) {
+                        console.error(error);
                     }
+                    process.exit(1);
+                }
+            });
 
-                    if (options.nextVersion) {
-                        projectSetup.nextVersion = options.nextVersion;
-                    }
+        program
+            .command('rollback')
+            .description('Undo a migration using the snapshot recorded when it ran')
+            .argument('[project-directory]', 'Directory of the migrated project', '.')
+            .option('--id <snapshot>', 'Snapshot to restore (defaults to the most recent one)')
+            .option('-y, --yes', 'Skip confirmation prompts', false)
+            .action(async (projectDir, options) => {
+                try {
+                    const targetDir = path.resolve(process.cwd(), projectDir);
 
-                    if (options.verbose) {
-                        projectSetup.verbose = true;
-                    }
+                    // -y is also a program option, so commander may have attached it there
+                    await confirmRollback(targetDir, { ...options, yes: options.yes || program.opts().yes });
 
-                    logger.info(`Detected project configuration:`);
-                    logger.detail(`- TypeScript: ${projectSetup.usesTypeScript ? 'Yes' : 'No'}`);
-                    logger.detail(`- CSS Framework: ${projectSetup.cssFramework}`);
-                    logger.detail(`- React Router: ${projectSetup.usesReactRouter ? 'Yes' : 'No'}`);
-                    logger.detail(`- Package Manager: ${projectSetup.packageManager}`);
+                    const { restored } = await rollback(targetDir, { id: options.id });
+                    logger.success(`Restored ${restored} files`);
+                    logger.detail('Reinstall dependencies to bring node_modules back in sync');
+                } catch (error) {
+                    logger.error('Error during rollback', error.message);
+                    console.error(error);
+                    process.exit(1);
+                }
+            });
 
-                    displayMigrationSteps();
+        program
+            .command('doctor')
+            .description('Check a migrated project for unresolved imports, missing layouts and leftover Vite APIs')
+            .argument('[project-directory]', 'Directory of the migrated project', '.')
+            .option('--app-dir <dir>', 'App directory to check instead of src/app or app')
+            .action(async (projectDir, options) => {
+                try {
+                    const targetDir = path.resolve(process.cwd(), projectDir);
+                    const result = await runDoctor(targetDir, { appDir: options.appDir });
 
-                    await confirmMigration(options.yes);
-                    await runMigration(targetDir, options, projectSetup);
-                } catch (error) {
-                    logger.error('Error during migration process', error.message);
-                    if (projectSetup?.verbose) {
-                        console.error(error);
+                    displayDoctorReport(result);
+                    if (!result.ok) {
+                        process.exit(1);
                     }
+                } catch (error) {
+                    logger.error('Error while checking the project', error.message);
+                    console.error(error);
                     process.exit(1);
                 }
             });
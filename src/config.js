@@ -0,0 +1,108 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILES = ['vite2next.config.js', 'vite2next.config.mjs', 'vite2next.config.json'];
+
+const CONFIG_KEYS = ['defaults', 'steps', 'ignore', 'overrides'];
+const CSS_FRAMEWORKS = ['none', 'tailwind', 'styled-components', 'emotion', 'mui', 'chakra'];
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+
+function validateConfig(config, configPath) {
+    const name = path.basename(configPath);
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${name} must export an object`);
+    }
+
+    for (const key of Object.keys(config)) {
+        if (!CONFIG_KEYS.includes(key)) {
+            throw new Error(`Unknown key "${key}" in ${name}. Supported keys: ${CONFIG_KEYS.join(', ')}`);
+        }
+    }
+
+    const { overrides = {} } = config;
+    if (overrides.cssFramework && !CSS_FRAMEWORKS.includes(overrides.cssFramework)) {
+        throw new Error(`Invalid overrides.cssFramework "${overrides.cssFramework}" in ${name}. Expected one of: ${CSS_FRAMEWORKS.join(', ')}`);
+    }
+    if (overrides.packageManager && !PACKAGE_MANAGERS.includes(overrides.packageManager)) {
+        throw new Error(`Invalid overrides.packageManager "${overrides.packageManager}" in ${name}. Expected one of: ${PACKAGE_MANAGERS.join(', ')}`);
+    }
+    if (config.ignore && !Array.isArray(config.ignore)) {
+        throw new Error(`ignore in ${name} must be an array of glob patterns`);
+    }
+}
+
+// Load vite2next.config.{js,mjs,json} from the project, or the file given with --config
+export async function loadConfig(targetDir, configFile) {
+    const configPath = configFile
+        ? path.resolve(process.cwd(), configFile)
+        : CONFIG_FILES.map(file => path.join(targetDir, file)).find(file => fs.existsSync(file));
+
+    if (!configPath) {
+        return null;
+    }
+
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`Config file ${configPath} does not exist`);
+    }
+
+    let config;
+    if (configPath.endsWith('.json')) {
+        config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    } else {
+        const module = await import(pathToFileURL(configPath).href);
+        config = typeof module.default === 'function' ? await module.default({ targetDir }) : module.default;
+    }
+
+    validateConfig(config, configPath);
+
+    return {
+        path: configPath,
+        defaults: { ...config.defaults },
+        steps: { ...config.steps },
+        ignore: config.ignore || [],
+        overrides: { ...config.overrides }
+    };
+}
+
+// Options explicitly passed by the caller win over the config file defaults. Steps
+// disabled in the config are skipped unless the caller chose the steps to skip itself.
+export function mergeConfigOptions(config, options, isExplicit = key => options[key] !== undefined) {
+    if (!config) {
+        return { ...options };
+    }
+
+    const merged = { ...options };
+    for (const [key, value] of Object.entries(config.defaults)) {
+        if (!isExplicit(key)) {
+            merged[key] = value;
+        }
+    }
+
+    const disabledSteps = Object.entries(config.steps)
+        .filter(([, settings]) => settings?.enabled === false)
+        .map(([name]) => name);
+
+    if (disabledSteps.length > 0 && !isExplicit('skip')) {
+        const skip = merged.skip ? [].concat(merged.skip).join(',').split(',') : [];
+        merged.skip = [...new Set([...skip, ...disabledSteps])].filter(Boolean);
+    }
+
+    return merged;
+}
+
+// Replace auto-detected setup values the config file overrides
+export function applyConfigOverrides(projectSetup, config) {
+    if (!config) {
+        return projectSetup;
+    }
+
+    const setup = { ...projectSetup, ...config.overrides };
+
+    if (config.overrides.cssFramework) {
+        setup.useTailwind = config.overrides.cssFramework === 'tailwind';
+    }
+
+    return setup;
+}
@@ -0,0 +1,117 @@
+import { containsExpression, isExpression } from './viteConfig.js';
+
+// css.modules (postcss-modules options in Vite) → css-loader `modules` options
+const CSS_MODULES_OPTIONS = {
+    localsConvention: 'exportLocalsConvention',
+    generateScopedName: 'localIdentName',
+    hashPrefix: 'localIdentHashSalt',
+    scopeBehaviour: 'mode'
+};
+
+// Vite-only Sass options that Next.js' sass-loader setup has no use for
+const IGNORED_SASS_OPTIONS = ['api'];
+
+function resolveSassOptions(preprocessorOptions, unsupported) {
+    const sassOptions = {};
+
+    // Next.js has a single sassOptions for .scss and .sass files, scss wins where both are set
+    for (const syntax of ['sass', 'scss']) {
+        const options = preprocessorOptions[syntax];
+        if (!options) continue;
+
+        if (isExpression(options)) {
+            unsupported.push({ option: `css.preprocessorOptions.${syntax}`, message: 'it is computed when the config runs' });
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(options)) {
+            if (IGNORED_SASS_OPTIONS.includes(key)) continue;
+
+            if (containsExpression(value)) {
+                unsupported.push({
+                    option: `css.preprocessorOptions.${syntax}.${key}`,
+                    message: 'it is computed when the config runs, set it in sassOptions by hand'
+                });
+                continue;
+            }
+            sassOptions[key] = value;
+        }
+    }
+
+    return sassOptions;
+}
+
+function resolveCssModules(modules, unsupported) {
+    const cssModules = {};
+
+    if (modules === false) {
+        unsupported.push({ option: 'css.modules', message: 'CSS modules cannot be turned off in Next.js' });
+        return cssModules;
+    }
+    if (isExpression(modules)) {
+        unsupported.push({ option: 'css.modules', message: 'it is computed when the config runs' });
+        return cssModules;
+    }
+
+    for (const [key, value] of Object.entries(modules)) {
+        const loaderOption = CSS_MODULES_OPTIONS[key];
+
+        if (!loaderOption) {
+            unsupported.push({ option: `css.modules.${key}`, message: 'css-loader has no equivalent option' });
+        } else if (isExpression(value) || typeof value !== 'string') {
+            unsupported.push({ option: `css.modules.${key}`, message: 'only string values can be passed to css-loader' });
+        } else {
+            cssModules[loaderOption] = value;
+        }
+    }
+
+    return cssModules;
+}
+
+// Read the css section of vite.config: Sass preprocessor options become `sassOptions`,
+// CSS modules naming options css-loader `modules` options. Everything Next.js can't
+// support is returned as unsupported.
+export function resolveViteCssOptions(viteConfig) {
+    const css = viteConfig?.config?.css;
+    const unsupported = [];
+    let sassOptions = {};
+    let cssModules = {};
+
+    if (!css) {
+        return { sassOptions, cssModules, unsupported };
+    }
+    if (isExpression(css)) {
+        unsupported.push({ option: 'css', message: 'it is computed when the config runs' });
+        return { sassOptions, cssModules, unsupported };
+    }
+
+    const preprocessorOptions = css.preprocessorOptions || {};
+    if (isExpression(preprocessorOptions)) {
+        unsupported.push({ option: 'css.preprocessorOptions', message: 'it is computed when the config runs' });
+    } else {
+        sassOptions = resolveSassOptions(preprocessorOptions, unsupported);
+
+        for (const syntax of Object.keys(preprocessorOptions).filter(key => !['sass', 'scss'].includes(key))) {
+            unsupported.push({
+                option: `css.preprocessorOptions.${syntax}`,
+                message: `Next.js has no built-in ${syntax} support`
+            });
+        }
+    }
+
+    if (css.modules !== undefined) {
+        cssModules = resolveCssModules(css.modules, unsupported);
+    }
+
+    if (css.postcss !== undefined && typeof css.postcss !== 'string') {
+        unsupported.push({ option: 'css.postcss', message: 'Next.js only reads PostCSS plugins from a postcss.config.js file' });
+    }
+    if (css.transformer === 'lightningcss' || css.lightningcss) {
+        unsupported.push({ option: 'css.lightningcss', message: 'Next.js processes CSS with PostCSS, not Lightning CSS' });
+    }
+    if (css.devSourcemap) {
+        unsupported.push({ option: 'css.devSourcemap', message: 'Next.js decides on CSS source maps itself' });
+    }
+
+    return { sassOptions, cssModules, unsupported };
+}
@@ -0,0 +1,84 @@
+import { getReferencedNames, isExpression } from './viteConfig.js';
+
+// Globals an expression may use and still work when copied into next.config
+const PORTABLE_GLOBALS = ['JSON', 'process', 'Date', 'Math', 'String', 'Number', 'Boolean', 'undefined'];
+
+function isPortable(source) {
+    try {
+        return [...getReferencedNames(source)].every(name => PORTABLE_GLOBALS.includes(name));
+    } catch (error) {
+        return false;
+    }
+}
+
+// The TypeScript type of a replacement, as far as it can be told without running it
+function inferType(code, value) {
+    if (isExpression(value)) {
+        return /^JSON\.stringify\(/.test(code) ? 'string' : 'any';
+    }
+    try {
+        const parsed = JSON.parse(code);
+        if (['string', 'number', 'boolean'].includes(typeof parsed)) return typeof parsed;
+    } catch (error) {
+        // Raw code such as `window.__CONFIG__`
+    }
+    return 'any';
+}
+
+// import.meta.env.VITE_* keys have to follow the code, which moves to process.env.NEXT_PUBLIC_*
+function toNextKey(key) {
+    const match = key.match(/^import\.meta\.env\.(\w+)$/);
+    if (!match) {
+        return key;
+    }
+    return `process.env.${match[1].replace(/^VITE_/, 'NEXT_PUBLIC_')}`;
+}
+
+// `define` from vite.config as webpack DefinePlugin replacements. Like Vite, string values
+// are inserted as code and everything else as JSON. Expressions are copied into
+// next.config as is (`expression`), unless they use the Vite config's own variables
+// or imports, which makes them unsupported.
+export function resolveViteDefines(viteConfig) {
+    const define = viteConfig?.config?.define;
+    const defines = [];
+    const unsupported = [];
+
+    if (!define) {
+        return { defines, unsupported };
+    }
+
+    if (isExpression(define)) {
+        unsupported.push({ key: 'define', message: 'it is computed when the config runs' });
+        return { defines, unsupported };
+    }
+
+    for (const [key, value] of Object.entries(define)) {
+        let code;
+
+        if (isExpression(value)) {
+            if (!isPortable(value.$expression)) {
+                unsupported.push({ key, message: 'its value depends on variables or imports of the Vite config' });
+                continue;
+            }
+            code = value.$expression;
+        } else {
+            code = typeof value === 'string' ? value : JSON.stringify(value);
+        }
+
+        if (code === undefined) {
+            continue;
+        }
+
+        // Only plain identifiers such as __APP_VERSION__ need a global declaration
+        const globalName = /^[A-Za-z_$][\w$]*$/.test(key) ? key : null;
+        defines.push({
+            key: toNextKey(key),
+            code,
+            expression: isExpression(value),
+            globalName,
+            type: inferType(code, value)
+        });
+    }
+
+    return { defines, unsupported };
+}
@@ -1,8 +1,11 @@
 import { exec } from 'child_process';
-import fs from 'fs-extra';
 import path from 'path';
 import { promisify } from 'util';
+import { resolveViteCssOptions } from './cssOptions.js';
+import fs, { trackExternalChanges } from './fileSystem.js';
 import { logger } from './logger.js';
+import { DEFAULT_NEXT_VERSION, getNextCapabilities, parseMajorVersion } from './nextVersions.js';
+import { resolveVitePlugins } from './vitePlugins.js';
 
 const execAsync = promisify(exec);
 
@@ -31,7 +34,7 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
     logger.startSpinner('Adding necessary Next.js packages');
 
     let addedDeps = [];
-    const nextVersion = projectSetup.nextVersion || '14.0.0';
+    const nextVersion = projectSetup.nextVersion || DEFAULT_NEXT_VERSION;
 
     if (!packageJson.dependencies.next) {
         packageJson.dependencies.next = `^${nextVersion}`;
@@ -40,14 +43,31 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
         logger.info('Next.js is already a dependency');
     }
 
-    if (!packageJson.dependencies.react) {
-        packageJson.dependencies.react = '^18.2.0';
-        addedDeps.push('react@18.2.0');
+    // React, its types and the critical CSS inliner have to match the targeted Next.js major
+    const capabilities = getNextCapabilities(targetDir, projectSetup);
+    const reactMajor = parseMajorVersion(capabilities.react);
+
+    for (const name of ['react', 'react-dom']) {
+        if (!packageJson.dependencies[name]) {
+            packageJson.dependencies[name] = capabilities.react;
+            addedDeps.push(`${name}@${capabilities.react.slice(1)}`);
+        } else if (parseMajorVersion(packageJson.dependencies[name]) < reactMajor) {
+            logger.warning(`Next.js ${capabilities.major} needs ${name} ${capabilities.react}, the project has ${packageJson.dependencies[name]}`);
+        }
+    }
+
+    for (const name of ['@types/react', '@types/react-dom']) {
+        const version = packageJson.devDependencies?.[name];
+        if (version && parseMajorVersion(version) < reactMajor) {
+            packageJson.devDependencies[name] = `^${reactMajor}.0.0`;
+            addedDeps.push(`${name}@${reactMajor}`);
+        }
     }
 
-    if (!packageJson.dependencies['react-dom']) {
-        packageJson.dependencies['react-dom'] = '^18.2.0';
-        addedDeps.push('react-dom@18.2.0');
+    // projectSetup.optimizeCss: the next-config step will turn on experimental.optimizeCss
+    if (projectSetup.optimizeCss && !packageJson.dependencies[capabilities.criticalCss.name]) {
+        packageJson.dependencies[capabilities.criticalCss.name] = capabilities.criticalCss.version;
+        addedDeps.push(`${capabilities.criticalCss.name} (for experimental.optimizeCss)`);
     }
 
     // Check for and handle CSS frameworks
@@ -83,6 +103,22 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
         addedDeps.push('@mui/material @emotion/react @emotion/styled');
     }
 
+    // What the registries collecting CSS-in-JS styles on the server import
+    const registryDependencies = {
+        emotion: { '@emotion/cache': '^11.11.0' },
+        mui: {
+            '@mui/material-nextjs': `^${parseMajorVersion(packageJson.dependencies['@mui/material'])}.0.0`,
+            '@emotion/cache': '^11.11.0'
+        },
+        chakra: parseMajorVersion(packageJson.dependencies['@chakra-ui/react'] || '2') < 3 ? { '@chakra-ui/next-js': '^2.2.0' } : {}
+    }[projectSetup.cssFramework] || {};
+    for (const [name, version] of Object.entries(registryDependencies)) {
+        if (!packageJson.dependencies[name]) {
+            packageJson.dependencies[name] = version;
+            addedDeps.push(name);
+        }
+    }
+
     let hasReactRouter = projectSetup.usesReactRouter;
     if (hasReactRouter) {
         logger.info('Detected React Router dependency');
@@ -93,6 +129,26 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
         }
     }
 
+    // Next.js compiles Sass with the `sass` package only, which Vite projects may have under another name
+    const sassOptions = resolveViteCssOptions(projectSetup.viteConfig).sassOptions;
+    const hasSass = !!(packageJson.dependencies.sass || packageJson.devDependencies?.sass);
+    if (!hasSass && (Object.keys(sassOptions).length > 0 || packageJson.devDependencies?.['sass-embedded'])) {
+        packageJson.devDependencies = { ...packageJson.devDependencies, sass: '^1.69.0' };
+        addedDeps.push('sass');
+    } else if (hasSass) {
+        logger.detail('Keeping sass for .scss/.sass files');
+    }
+
+    // Replacements for the Vite plugins the project used, e.g. @svgr/webpack for vite-plugin-svgr
+    for (const { mapping } of resolveVitePlugins(projectSetup.viteConfig).mapped) {
+        for (const [name, version] of Object.entries(mapping.devDependencies || {})) {
+            if (packageJson.dependencies[name] || packageJson.devDependencies?.[name]) continue;
+
+            packageJson.devDependencies = { ...packageJson.devDependencies, [name]: version };
+            addedDeps.push(name);
+        }
+    }
+
     logger.stopSpinner(true, 'Dependencies configured');
 
     if (addedDeps.length > 0) {
@@ -112,6 +168,18 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
             'package-lock.json': 'npm'
         };
 
+        // Workspace members are installed from the workspace root, which owns the lock file
+        const installDir = projectSetup.workspace?.root || targetDir;
+        if (installDir !== targetDir) {
+            logger.detail(`Installing from the workspace root ${installDir}`);
+        }
+
+        // Lock files rewritten by the install are snapshotted as well
+        const installedFiles = [...new Set([
+            ...[...Object.keys(lockFiles), 'package.json'].map(file => path.join(installDir, file)),
+            packageJsonPath
+        ])];
+
         // Default to npm
         let packageManager = 'npm';
         const detectedManager = projectSetup.packageManager || 'npm';
@@ -127,7 +195,7 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
             // Remove the lock file for the unavailable package manager
             for (const [lockFile, manager] of Object.entries(lockFiles)) {
                 if (manager === detectedManager) {
-                    const lockPath = path.join(targetDir, lockFile);
+                    const lockPath = path.join(installDir, lockFile);
                     if (fs.existsSync(lockPath)) {
                         try {
                             await fs.remove(lockPath);
@@ -160,7 +228,7 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
         logger.startSpinner(`Installing dependencies using ${packageManager}...`);
 
         try {
-            await execAsync(command, { cwd: targetDir });
+            await trackExternalChanges(installedFiles, () => execAsync(command, { cwd: installDir }));
 
             const endTime = Date.now();
             const elapsedSeconds = ((endTime - startTime) / 1000).toFixed(1);
@@ -176,7 +244,7 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
                 // Remove any existing lock files before using npm
                 for (const [lockFile, manager] of Object.entries(lockFiles)) {
                     if (manager !== 'npm') {
-                        const lockPath = path.join(targetDir, lockFile);
+                        const lockPath = path.join(installDir, lockFile);
                         if (fs.existsSync(lockPath)) {
                             try {
                                 await fs.remove(lockPath);
@@ -189,7 +257,7 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
                 }
 
                 try {
-                    await execAsync('npm install', { cwd: targetDir });
+                    await trackExternalChanges(installedFiles, () => execAsync('npm install', { cwd: installDir }));
                     logger.success('Successfully installed dependencies with npm');
                 } catch (npmError) {
                     logger.error('Fallback to npm also failed', npmError.message);
@@ -201,7 +269,7 @@ export async function migrateDependencies(targetDir, skipInstall, projectSetup)
         }
     } else {
         logger.warning('Skipping dependency installation');
-        logger.detail(`Run ${projectSetup.packageManager || 'npm'} install manually after migration`);
+        logger.detail(`Run ${projectSetup.packageManager || 'npm'} install manually${projectSetup.workspace ? ' from the workspace root' : ''} after migration`);
     }
 
     logger.stepComplete();
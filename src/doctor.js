@@ -0,0 +1,208 @@
+import fs from 'fs-extra';
+import { glob } from 'glob';
+import path from 'path';
+
+const SOURCE_IGNORE = ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'out/**', 'public/**', '.vite2next/**'];
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+const RESOLVE_EXTENSIONS = [...SCRIPT_EXTENSIONS, '.json', '.css', '.scss', '.sass', '.less'];
+const ASSET_EXTENSIONS = 'png|jpe?g|gif|svg|webp|avif|ico|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav|pdf';
+
+// Module specifiers in import/export/require/import() statements and CSS @import rules
+const IMPORT_PATTERNS = [
+    /\b(?:import|export)\s+(?:type\s+)?[\w*{}\s,$]*?\s*from\s*['"]([^'"]+)['"]/g,
+    /\bimport\s*['"]([^'"]+)['"]/g,
+    /\b(?:import|require)\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /@import\s+(?:url\(\s*)?['"]?([^'")\s;]+)['"]?/g
+];
+
+// Public asset references: JSX/HTML attributes, CSS url() and plain string literals with an asset extension
+const ASSET_PATTERN = new RegExp(`(?:['"\`]|url\\(\\s*['"]?)(/[^'"\`()\\s?#]+\\.(?:${ASSET_EXTENSIONS}))(?=[?#'"\`)])`, 'gi');
+
+const VITE_ONLY_APIS = [
+    { pattern: /import\.meta\.env\b/, message: 'import.meta.env is Vite-only, use process.env (NEXT_PUBLIC_* in client code)' },
+    { pattern: /import\.meta\.glob(?:Eager)?\b/, message: 'import.meta.glob is Vite-only, import the modules explicitly or use require.context' },
+    { pattern: /import\.meta\.hot\b/, message: 'import.meta.hot is Vite-only, Next.js handles Fast Refresh itself' },
+    { pattern: /['"][^'"]+\?(?:raw|url|worker|sharedworker|inline)['"]/, message: 'Vite import query suffixes (?raw, ?url, ?worker, ?inline) are not supported by Next.js' },
+    { pattern: /['"]virtual:[^'"]+['"]/, message: 'virtual: modules come from Vite plugins and do not exist in Next.js' }
+];
+
+const CLIENT_INCOMPATIBLE_EXPORTS = [
+    { pattern: /export\s+const\s+metadata\b/, name: 'metadata' },
+    { pattern: /export\s+(?:async\s+)?function\s+generateMetadata\b|export\s+const\s+generateMetadata\b/, name: 'generateMetadata' },
+    { pattern: /export\s+(?:async\s+)?function\s+generateStaticParams\b|export\s+const\s+generateStaticParams\b/, name: 'generateStaticParams' }
+];
+
+function lineAt(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+function findAppDir(targetDir, options) {
+    const candidates = options.appDir ? [options.appDir] : ['src/app', 'app'];
+    return candidates.map(dir => path.join(targetDir, dir)).find(dir => fs.existsSync(dir)) || null;
+}
+
+function resolveRelativeImport(fromFile, specifier) {
+    const base = path.resolve(path.dirname(fromFile), specifier.split('?')[0]);
+    const candidates = [
+        base,
+        ...RESOLVE_EXTENSIONS.map(extension => base + extension),
+        ...RESOLVE_EXTENSIONS.map(extension => path.join(base, `index${extension}`))
+    ];
+
+    return candidates.some(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+}
+
+function isClientComponent(content) {
+    // The directive has to come before any other statement, comments aside
+    const withoutComments = content.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*\/\/.*$/gm, '');
+    return /^\s*['"]use client['"]/.test(withoutComments);
+}
+
+function checkAppDirectory(appDir, files, issue) {
+    const hasRootLayout = SCRIPT_EXTENSIONS.some(extension => fs.existsSync(path.join(appDir, `layout${extension}`)));
+    if (!hasRootLayout) {
+        issue('error', 'layout', 'The app directory has no root layout (layout.tsx or layout.jsx)', { file: appDir });
+    }
+
+    const hasPage = files.some(file => file.appFile && /^page\.[jt]sx?$/.test(path.basename(file.path)));
+    if (!hasPage) {
+        issue('warning', 'layout', 'The app directory has no page, every route will return 404', { file: appDir });
+    }
+}
+
+function checkImports(file, issue) {
+    for (const pattern of IMPORT_PATTERNS) {
+        for (const match of file.content.matchAll(pattern)) {
+            const specifier = match[1];
+            if (!specifier.startsWith('./') && !specifier.startsWith('../')) continue;
+
+            if (!resolveRelativeImport(file.absolutePath, specifier)) {
+                issue('error', 'imports', `Cannot resolve "${specifier}"`, {
+                    file: file.path,
+                    line: lineAt(file.content, match.index)
+                });
+            }
+        }
+    }
+}
+
+function checkClientExports(file, issue) {
+    if (!isClientComponent(file.content)) return;
+
+    for (const { pattern, name } of CLIENT_INCOMPATIBLE_EXPORTS) {
+        const match = pattern.exec(file.content);
+        if (match) {
+            issue('error', 'client-components', `"use client" files cannot export ${name}, move it to a server component`, {
+                file: file.path,
+                line: lineAt(file.content, match.index)
+            });
+        }
+    }
+}
+
+function checkViteApis(file, issue) {
+    const lines = file.content.split('\n');
+
+    lines.forEach((lineContent, index) => {
+        for (const { pattern, message } of VITE_ONLY_APIS) {
+            if (pattern.test(lineContent)) {
+                issue('error', 'vite-apis', message, { file: file.path, line: index + 1 });
+            }
+        }
+
+        if (/\/\/\/\s*<reference\s+types=["']vite\/client["']/.test(lineContent)) {
+            issue('warning', 'vite-apis', 'Remove the vite/client type reference', { file: file.path, line: index + 1 });
+        }
+    });
+}
+
+// basePath from next.config, which public files are served under
+function readBasePath(targetDir) {
+    const configFile = ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts']
+        .map(name => path.join(targetDir, name))
+        .find(configPath => fs.existsSync(configPath));
+    const match = configFile && fs.readFileSync(configFile, 'utf8').match(/\bbasePath:\s*['"`](\/[^'"`]*)['"`]/);
+    return match ? match[1] : '';
+}
+
+function checkPublicAssets(targetDir, file, issue, basePath) {
+    const publicDir = path.join(targetDir, 'public');
+
+    for (const match of file.content.matchAll(ASSET_PATTERN)) {
+        const assetPath = match[1];
+        if (assetPath.startsWith('//')) continue;
+
+        const publicPath = basePath && assetPath.startsWith(`${basePath}/`) ? assetPath.slice(basePath.length) : assetPath;
+        if (!fs.existsSync(path.join(publicDir, decodeURI(publicPath)))) {
+            issue('error', 'public-assets', `${assetPath} does not exist in public/`, {
+                file: file.path,
+                line: lineAt(file.content, match.index)
+            });
+        }
+    }
+}
+
+// Statically check a migrated project for the problems that usually break `next dev`.
+// Resolves with every issue found; `ok` is false when at least one of them is an error.
+export async function runDoctor(targetDir, options = {}) {
+    const resolvedDir = path.resolve(targetDir);
+    const issues = [];
+    const issue = (severity, check, message, location = {}) => {
+        const file = location.file && path.isAbsolute(location.file)
+            ? path.relative(resolvedDir, location.file) || '.'
+            : location.file;
+        issues.push({ severity, check, message, ...location, file });
+    };
+
+    if (!fs.existsSync(path.join(resolvedDir, 'package.json'))) {
+        throw new Error(`No package.json found in ${resolvedDir}`);
+    }
+
+    const appDir = findAppDir(resolvedDir, options);
+    const basePath = readBasePath(resolvedDir);
+    const sourcePaths = await glob('**/*.{js,jsx,ts,tsx,mjs,cjs,css,scss,sass,less}', {
+        cwd: resolvedDir,
+        ignore: SOURCE_IGNORE,
+        nodir: true
+    });
+
+    const files = await Promise.all(sourcePaths.sort().map(async (file) => {
+        const absolutePath = path.join(resolvedDir, file);
+        return {
+            path: file,
+            absolutePath,
+            appFile: !!appDir && !path.relative(appDir, absolutePath).startsWith('..'),
+            content: await fs.readFile(absolutePath, 'utf8')
+        };
+    }));
+
+    if (appDir) {
+        checkAppDirectory(appDir, files, issue);
+    } else {
+        issue('error', 'layout', `No app directory found (looked for ${options.appDir || 'src/app and app'})`);
+    }
+
+    for (const file of files) {
+        if (file.appFile) {
+            checkImports(file, issue);
+            checkClientExports(file, issue);
+        }
+
+        if (/^(?:next|tailwind|postcss|vitest)\.config\./.test(path.basename(file.path))) continue;
+
+        checkViteApis(file, issue);
+        checkPublicAssets(resolvedDir, file, issue, basePath);
+    }
+
+    const errors = issues.filter(entry => entry.severity === 'error');
+    const warnings = issues.filter(entry => entry.severity === 'warning');
+
+    return {
+        targetDir: resolvedDir,
+        appDir: appDir ? path.relative(resolvedDir, appDir) : null,
+        ok: errors.length === 0,
+        errors,
+        warnings,
+        issues
+    };
+}
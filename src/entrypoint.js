@@ -1,10 +1,10 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
-import * as glob from 'glob';
 import path from 'path';
+import fs, { glob } from './fileSystem.js';
+import { logger } from './logger.js';
+import { findRouterPaths } from './routerMigration.js';
 
-export async function createEntrypoint(targetDir, projectSetup) {
-    console.log(chalk.blue('Step 6: Creating entrypoint page...'));
+export async function createEntrypoint(targetDir, projectSetup, settings = {}) {
+    logger.startStep('Creating entrypoint page');
 
     // Create src/app directory if it doesn't exist
     const srcDir = path.join(targetDir, 'src');
@@ -22,39 +22,53 @@ export async function createEntrypoint(targetDir, projectSetup) {
 
     // Default to catchall route approach for SPA style with React Router
     if (projectSetup.usesReactRouter) {
-        console.log(chalk.yellow('i React Router detected - using catchall route approach for compatibility'));
-        await createCatchAllPage(targetDir, appDir, extension);
+        logger.info('React Router detected - using catchall route approach for compatibility');
+        await createCatchAllPage(targetDir, appDir, extension, projectSetup, settings);
     } else {
         // Check if files already exist
         const pageFile = path.join(appDir, `page.${extension}`);
         const layoutFile = path.join(appDir, `layout.${extension}`);
 
         if (fs.existsSync(pageFile)) {
-            console.log(chalk.yellow('i Root page file already exists, skipping creation'));
+            logger.info('Root page file already exists, skipping creation');
             return true;
         }
 
         // Look for main React component file (App.jsx, App.tsx, etc.)
-        let appComponentPath = await findAppComponent(targetDir);
+        let appComponentPath = await findAppComponent(targetDir, settings);
 
         if (appComponentPath) {
-            console.log(chalk.gray(`Found App component: ${appComponentPath}`));
+            logger.detail(`Found App component: ${appComponentPath}`);
             await createDirectPage(targetDir, appDir, extension, appComponentPath);
         } else {
-            console.log(chalk.yellow('! Could not find App component, creating fallback page'));
+            logger.warning('Could not find App component, creating fallback page');
             await createFallbackPage(targetDir, appDir, extension);
         }
     }
 
-    console.log(chalk.green('✓ Step 6 completed'));
+    logger.stepComplete();
     return true;
 }
 
-async function findAppComponent(targetDir) {
+// Components the generated page could render, for picking the App component by hand
+export async function findComponentFiles(targetDir) {
+    const files = await glob('**/*.{jsx,tsx,js,ts}', {
+        cwd: targetDir,
+        ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'app/**', 'src/app/**', '**/*.d.ts', '**/*.config.*']
+    });
+    return files.sort();
+}
+
+export async function findAppComponent(targetDir, settings = {}) {
+    // A component chosen in the interactive review wins over detection
+    if (settings.appComponent) {
+        return settings.appComponent;
+    }
+
     const appFilePatterns = ['App.jsx', 'App.tsx', 'App.js', 'App.tsx', 'app.jsx', 'app.tsx', 'app.js', 'app.ts'];
 
     for (const pattern of appFilePatterns) {
-        const files = await glob.glob(`**/${pattern}`, {
+        const files = await glob(`**/${pattern}`, {
             cwd: targetDir,
             ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'app/**']
         });
@@ -68,7 +82,7 @@ async function findAppComponent(targetDir) {
     const mainFilePatterns = ['main.jsx', 'main.tsx', 'main.js', 'main.ts', 'index.jsx', 'index.tsx', 'index.js', 'index.ts'];
 
     for (const pattern of mainFilePatterns) {
-        const files = await glob.glob(`**/${pattern}`, {
+        const files = await glob(`**/${pattern}`, {
             cwd: targetDir,
             ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'app/**']
         });
@@ -95,7 +109,7 @@ async function findAppComponent(targetDir) {
                     return appFullPath;
                 }
             } catch (error) {
-                console.error(chalk.yellow(`Error reading main file: ${error.message}`));
+                logger.warning(`Error reading main file: ${error.message}`);
             }
         }
     }
@@ -104,7 +118,7 @@ async function findAppComponent(targetDir) {
 }
 
 async function findGlobalCss(targetDir) {
-    let cssFiles = await glob.glob('**/*.css', {
+    let cssFiles = await glob('**/*.css', {
         cwd: targetDir,
         ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'app/**']
     });
@@ -127,7 +141,7 @@ async function findGlobalCss(targetDir) {
     return null;
 }
 
-async function createCatchAllPage(targetDir, appDir, extension) {
+async function createCatchAllPage(targetDir, appDir, extension, projectSetup, settings) {
     // Create app/[[...slug]] directory for catch-all routes
     const slugDir = path.join(appDir, '[[...slug]]');
     await fs.ensureDir(slugDir);
@@ -137,18 +151,20 @@ async function createCatchAllPage(targetDir, appDir, extension) {
     const clientFile = path.join(slugDir, `client.${extension}`);
 
     if (fs.existsSync(pageFile) && fs.existsSync(clientFile)) {
-        console.log(chalk.yellow('i Catch-all route files already exist, skipping creation'));
+        logger.info('Catch-all route files already exist, skipping creation');
         return;
     }
 
     // Find the app component
-    let appPath = await findAppComponent(targetDir);
+    let appPath = await findAppComponent(targetDir, settings);
     if (!appPath) {
-        console.log(chalk.yellow('! Could not find App component file, you may need to adjust the import path manually'));
+        logger.todo('Could not find App component file, adjust the import path manually', {
+            file: path.relative(targetDir, clientFile)
+        });
         appPath = 'App';
     } else {
         // Log the found path before processing
-        console.log(chalk.gray(`Original App component path: ${appPath}`));
+        logger.detail(`Original App component path: ${appPath}`);
 
         // Normalize backslashes to forward slashes
         appPath = appPath.replace(/\\/g, '/');
@@ -169,8 +185,23 @@ async function createCatchAllPage(targetDir, appDir, extension) {
         }
 
         // Log the final import path for debugging
-        console.log(chalk.gray(`Import path for App component: ${appPath}`));
+        logger.detail(`Import path for App component: ${appPath}`);
+    }
+
+    // The router main rendered the App component in needs the browser too, so it is loaded the same way
+    const router = projectSetup.entry?.router;
+    if (router) {
+        logger.detail(`Rendering the App component in ${router.open} from ${projectSetup.entry.file}`);
+        if (router.usesBindings) {
+            logger.todo(`${projectSetup.entry.file}:${router.line}: ${router.open} uses values declared in ${projectSetup.entry.file}, bring them over`, {
+                file: path.relative(targetDir, clientFile)
+            });
+        }
     }
+    const routerDeclaration = router
+        ? `\nconst ${router.name} = dynamic(() => import('${router.module}').then(module => module.${router.name}), { ssr: false })\n`
+        : '';
+    const appElement = router ? `(\n    ${router.open}\n      <App />\n    ${router.close}\n  )` : '<App />';
 
     // Create client.tsx/jsx
     const clientContent = `'use client'
@@ -179,13 +210,13 @@ import React from 'react'
 import dynamic from 'next/dynamic'
 
 const App = dynamic(() => import('${appPath}'), { ssr: false })
-
+${routerDeclaration}
 export function ClientOnly() {
-  return <App />
+  return ${appElement}
 }`;
 
     await fs.writeFile(clientFile, clientContent);
-    console.log(chalk.green(`√ Created src/app/[[...slug]]/client.${extension}`));
+    logger.success(`Created src/app/[[...slug]]/client.${extension}`);
 
     // Check for files in the src/pages directory
     const pagesDir = path.join(targetDir, 'src', 'pages');
@@ -205,10 +236,29 @@ export function ClientOnly() {
             if (pageRoutes.length > 0) {
                 // Add the default route too
                 slugs = [...pageRoutes, { slug: [''] }];
-                console.log(chalk.gray(`Found page routes: ${JSON.stringify(pageRoutes)}`));
+                logger.detail(`Found page routes: ${JSON.stringify(pageRoutes)}`);
             }
         } catch (error) {
-            console.error(chalk.yellow(`Error reading pages directory: ${error.message}`));
+            logger.warning(`Error reading pages directory: ${error.message}`);
+        }
+    }
+
+    // A static export only has the pages generateStaticParams lists, so add every route React Router declares
+    if (projectSetup.output === 'export') {
+        const { paths, dynamic } = await findRouterPaths(targetDir);
+        const routeSlugs = paths.filter(route => route !== '/').map(route => ({ slug: route.slice(1).split('/') }));
+        const known = new Set(slugs.map(slug => JSON.stringify(slug)));
+
+        slugs = [...slugs, ...routeSlugs.filter(slug => !known.has(JSON.stringify(slug)))];
+        if (paths.length > 0) {
+            logger.detail(`Found React Router routes: ${paths.join(', ')}`);
+        }
+
+        for (const route of dynamic) {
+            const message = route.path === '/*'
+                ? 'the * route has no page in a static export, add src/app/not-found for unknown paths'
+                : `${route.path} is only exported for the values generateStaticParams returns, add them to src/app/[[...slug]]/page.${extension}`;
+            logger.todo(`${route.file}:${route.line}: ${message}`, { file: route.file, line: route.line });
         }
     }
 
@@ -224,7 +274,7 @@ export default function Page() {
 }`;
 
     await fs.writeFile(pageFile, pageContent);
-    console.log(chalk.green(`√ Created src/app/[[...slug]]/page.${extension}`));
+    logger.success(`Created src/app/[[...slug]]/page.${extension}`);
 }
 
 async function createDirectPage(targetDir, appDir, extension, appComponentPath) {
@@ -232,7 +282,7 @@ async function createDirectPage(targetDir, appDir, extension, appComponentPath)
     const pageFile = path.join(appDir, `page.${extension}`);
 
     // Log the component path before processing
-    console.log(chalk.gray(`Original App component path: ${appComponentPath}`));
+    logger.detail(`Original App component path: ${appComponentPath}`);
 
     // Normalize backslashes to forward slashes
     appComponentPath = appComponentPath.replace(/\\/g, '/');
@@ -254,7 +304,7 @@ async function createDirectPage(targetDir, appDir, extension, appComponentPath)
     }
 
     // Log the final import path for debugging
-    console.log(chalk.gray(`Import path for App component: ${appImportPath}`));
+    logger.detail(`Import path for App component: ${appImportPath}`);
 
     // Create page content
     const pageContent = `'use client'
@@ -268,7 +318,7 @@ export default function Home() {
 }`;
 
     await fs.writeFile(pageFile, pageContent);
-    console.log(chalk.green(`√ Created src/app/page.${extension}`));
+    logger.success(`Created src/app/page.${extension}`);
 }
 
 async function createFallbackPage(targetDir, appDir, extension) {
@@ -305,5 +355,5 @@ export default function Home() {
 }`;
 
     await fs.writeFile(pageFile, pageContent);
-    console.log(chalk.green(`√ Created fallback src/app/page.${extension}`));
+    logger.success(`Created fallback src/app/page.${extension}`);
 }
\ No newline at end of file
@@ -1,16 +1,43 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
-import * as glob from 'glob';
 import path from 'path';
+import fs, { glob } from './fileSystem.js';
+import { logger } from './logger.js';
+
+const importMetaEnvReplacements = {
+    MODE: 'process.env.NODE_ENV',
+    PROD: 'process.env.NODE_ENV === \'production\'',
+    DEV: 'process.env.NODE_ENV !== \'production\'',
+    SSR: 'typeof window === \'undefined\'',
+    // Vite's BASE_URL ends with a slash, basePath doesn't
+    BASE_URL: '`${process.env.NEXT_PUBLIC_BASE_PATH}/`'
+};
+
+function describeImportMetaEnv(lineContent) {
+    const match = lineContent.match(/import\.meta\.env\.(\w+)/);
+    if (!match) {
+        return 'import.meta.env';
+    }
+
+    const name = match[1];
+    const replacement = importMetaEnvReplacements[name] ||
+        (name.startsWith('VITE_') ? `process.env.NEXT_PUBLIC_${name.slice(5)}` : `process.env.${name}`);
+
+    return `import.meta.env.${name} → ${replacement}`;
+}
+
+// .env files to rewrite: the `files` setting is a glob pattern or a list of files
+export async function findEnvFiles(targetDir, settings = {}) {
+    const envFiles = await glob(settings.files || '.env*', { cwd: targetDir });
+    return envFiles.sort();
+}
 
-export async function migrateEnvVars(targetDir) {
-    console.log(chalk.blue('Step 8: Migrating environment variables...'));
+export async function migrateEnvVars(targetDir, settings = {}) {
+    logger.startStep('Migrating environment variables');
 
     // Process .env files
-    const envFiles = await glob.glob('.env*', { cwd: targetDir });
+    const envFiles = await findEnvFiles(targetDir, settings);
 
     if (envFiles.length === 0) {
-        console.log(chalk.yellow('i No .env files found'));
+        logger.info('No .env files found');
     } else {
         let hasChanges = false;
 
@@ -23,7 +50,7 @@ export async function migrateEnvVars(targetDir) {
 
             if (updatedContent !== envContent) {
                 await fs.writeFile(envPath, updatedContent);
-                console.log(chalk.green(`√ Updated ${envFile} (VITE_ → NEXT_PUBLIC_)`));
+                logger.success(`Updated ${envFile} (VITE_ → NEXT_PUBLIC_)`);
                 hasChanges = true;
             }
 
@@ -39,21 +66,21 @@ export async function migrateEnvVars(targetDir) {
                         `\n# Added by vite-to-next migration\nNEXT_PUBLIC_BASE_PATH=${baseUrl}\n`
                     );
 
-                    console.log(chalk.green(`√ Added NEXT_PUBLIC_BASE_PATH to ${envFile}`));
+                    logger.success(`Added NEXT_PUBLIC_BASE_PATH to ${envFile}`);
                     hasChanges = true;
                 }
             }
         }
 
         if (!hasChanges) {
-            console.log(chalk.yellow('i No changes needed for .env files'));
+            logger.info('No changes needed for .env files');
         }
     }
 
     // Look for import.meta.env usages in files
-    console.log(chalk.gray('Checking for import.meta.env usages in files...'));
+    logger.detail('Checking for import.meta.env usages in files...');
 
-    const jsFiles = await glob.glob('**/*.{js,jsx,ts,tsx}', {
+    const jsFiles = await glob('**/*.{js,jsx,ts,tsx}', {
         cwd: targetDir,
         ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**']
     });
@@ -64,23 +91,28 @@ export async function migrateEnvVars(targetDir) {
         const filePath = path.join(targetDir, file);
         const content = await fs.readFile(filePath, 'utf8');
 
-        if (content.includes('import.meta.env')) {
-            console.log(chalk.yellow(`! Found import.meta.env usage in ${file}`));
-            hasImportMetaEnv = true;
-        }
+        if (!content.includes('import.meta.env')) continue;
+
+        content.split('\n').forEach((lineContent, index) => {
+            if (lineContent.includes('import.meta.env')) {
+                logger.todo(`${file}:${index + 1}: ${describeImportMetaEnv(lineContent)}`, { file, line: index + 1 });
+            }
+        });
+        hasImportMetaEnv = true;
     }
 
     if (hasImportMetaEnv) {
-        console.log(chalk.yellow('! You need to update import.meta.env usages manually:'));
-        console.log(chalk.gray('  import.meta.env.MODE → process.env.NODE_ENV'));
-        console.log(chalk.gray('  import.meta.env.PROD → process.env.NODE_ENV === \'production\''));
-        console.log(chalk.gray('  import.meta.env.DEV → process.env.NODE_ENV !== \'production\''));
-        console.log(chalk.gray('  import.meta.env.SSR → typeof window === \'undefined\''));
-        console.log(chalk.gray('  import.meta.env.VITE_* → process.env.NEXT_PUBLIC_*'));
+        logger.info('import.meta.env usages have to be updated manually:');
+        logger.detail('import.meta.env.MODE → process.env.NODE_ENV');
+        logger.detail('import.meta.env.PROD → process.env.NODE_ENV === \'production\'');
+        logger.detail('import.meta.env.DEV → process.env.NODE_ENV !== \'production\'');
+        logger.detail('import.meta.env.SSR → typeof window === \'undefined\'');
+        logger.detail('import.meta.env.BASE_URL → `${process.env.NEXT_PUBLIC_BASE_PATH}/`');
+        logger.detail('import.meta.env.VITE_* → process.env.NEXT_PUBLIC_*');
     } else {
-        console.log(chalk.green('√ No import.meta.env usages found'));
+        logger.success('No import.meta.env usages found');
     }
 
-    console.log(chalk.green('✓ Step 7 completed'));
+    logger.stepComplete();
     return true;
 } 
\ No newline at end of file
@@ -0,0 +1,449 @@
+import realFs from 'fs-extra';
+import * as globLib from 'glob';
+import { minimatch } from 'minimatch';
+import path from 'path';
+import { saveCreatedDirectory, saveOriginal } from './snapshot.js';
+
+// Every migration step reads and writes the project through this module so that
+// all changes can be recorded and, in dry-run mode, kept in memory instead of on disk.
+
+let dryRun = false;
+let snapshot = null;
+
+// Extra glob patterns, such as the config file's `ignore`, hidden from every step
+let ignorePatterns = [];
+
+// Absolute file path -> { before: Buffer|null, after: Buffer|null }
+const changes = new Map();
+
+// Directories created or removed in memory during a dry run
+const virtualDirs = new Set();
+const removedDirs = new Set();
+
+export function startTracking(options = {}) {
+    dryRun = !!options.dryRun;
+    snapshot = dryRun ? null : options.snapshot || null;
+    ignorePatterns = options.ignore || [];
+    changes.clear();
+    virtualDirs.clear();
+    removedDirs.clear();
+}
+
+export function isDryRun() {
+    return dryRun;
+}
+
+// Capture the current content of every changed file, e.g. before a step runs
+export function createCheckpoint() {
+    return new Map([...changes].map(([filePath, change]) => [filePath, change.after]));
+}
+
+// Changes since the start of tracking, or since a checkpoint when one is given
+export function getTrackedChanges(checkpoint) {
+    const result = [];
+
+    for (const [filePath, change] of changes) {
+        const before = checkpoint?.has(filePath) ? checkpoint.get(filePath) : change.before;
+        const unchanged = before && change.after
+            ? before.equals(change.after)
+            : before === change.after;
+
+        if (!unchanged) {
+            result.push({ path: filePath, before, after: change.after });
+        }
+    }
+
+    return result;
+}
+
+function toBuffer(data, encoding) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(String(data), encoding || 'utf8');
+}
+
+function getEncoding(options) {
+    return typeof options === 'string' ? options : options?.encoding;
+}
+
+function isUnder(filePath, dir) {
+    return filePath === dir || filePath.startsWith(dir + path.sep);
+}
+
+function isRemoved(filePath) {
+    for (const dir of removedDirs) {
+        if (isUnder(filePath, dir)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function readRealFile(filePath) {
+    try {
+        return realFs.statSync(filePath).isFile() ? realFs.readFileSync(filePath) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Remember the original content of a file before it is first changed
+function recordOriginal(filePath) {
+    if (!changes.has(filePath)) {
+        const before = readRealFile(filePath);
+        if (snapshot) {
+            saveOriginal(snapshot, filePath, before);
+        }
+        changes.set(filePath, { before, after: before });
+    }
+    return changes.get(filePath);
+}
+
+function recordMissingDirectories(dirPath) {
+    if (!snapshot) return;
+
+    let current = dirPath;
+    while (!realFs.existsSync(current)) {
+        saveCreatedDirectory(snapshot, current);
+        const parent = path.dirname(current);
+        if (parent === current) break;
+        current = parent;
+    }
+}
+
+function notFound(filePath) {
+    const error = new Error(`ENOENT: no such file or directory, open '${filePath}'`);
+    error.code = 'ENOENT';
+    return error;
+}
+
+function fakeStats(isFile, size = 0) {
+    return {
+        size,
+        isFile: () => isFile,
+        isDirectory: () => !isFile,
+        isSymbolicLink: () => false
+    };
+}
+
+function existsInView(filePath) {
+    const change = changes.get(filePath);
+    if (change) {
+        return change.after !== null;
+    }
+    if (virtualDirs.has(filePath)) {
+        return true;
+    }
+    if (isRemoved(filePath)) {
+        return false;
+    }
+    return realFs.existsSync(filePath);
+}
+
+function isDirectoryInView(filePath) {
+    if (changes.get(filePath)?.after) {
+        return false;
+    }
+    if (virtualDirs.has(filePath)) {
+        return true;
+    }
+    if (isRemoved(filePath)) {
+        return false;
+    }
+    try {
+        return realFs.statSync(filePath).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+// List every file below a directory as the migration currently sees it
+function listFiles(dir) {
+    const files = new Set();
+
+    const walk = (current) => {
+        let entries = [];
+        try {
+            entries = realFs.readdirSync(current, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+            } else {
+                files.add(entryPath);
+            }
+        }
+    };
+
+    walk(dir);
+
+    for (const filePath of [...files]) {
+        if (isRemoved(filePath)) {
+            files.delete(filePath);
+        }
+    }
+
+    for (const [filePath, change] of changes) {
+        if (!isUnder(filePath, dir)) continue;
+        if (change.after === null) {
+            files.delete(filePath);
+        } else {
+            files.add(filePath);
+        }
+    }
+
+    return [...files];
+}
+
+function readFileSync(filePath, options) {
+    const absolutePath = path.resolve(filePath);
+    const change = changes.get(absolutePath);
+    const encoding = getEncoding(options);
+
+    if (dryRun && (change || isRemoved(absolutePath))) {
+        if (!change || change.after === null) {
+            throw notFound(filePath);
+        }
+        return encoding ? change.after.toString(encoding) : Buffer.from(change.after);
+    }
+
+    return realFs.readFileSync(filePath, options);
+}
+
+async function readFile(filePath, options) {
+    return readFileSync(filePath, options);
+}
+
+async function writeFile(filePath, data, options) {
+    const absolutePath = path.resolve(filePath);
+    const change = recordOriginal(absolutePath);
+    const content = toBuffer(data, getEncoding(options));
+
+    if (!dryRun) {
+        await realFs.writeFile(filePath, content);
+    }
+    change.after = content;
+}
+
+async function appendFile(filePath, data, options) {
+    const absolutePath = path.resolve(filePath);
+    const existing = existsInView(absolutePath) ? readFileSync(absolutePath) : Buffer.alloc(0);
+    await writeFile(absolutePath, Buffer.concat([existing, toBuffer(data, getEncoding(options))]));
+}
+
+async function remove(targetPath) {
+    const absolutePath = path.resolve(targetPath);
+    const isDirectory = isDirectoryInView(absolutePath);
+    const files = isDirectory ? listFiles(absolutePath) : [absolutePath];
+
+    for (const filePath of files) {
+        recordOriginal(filePath);
+    }
+
+    if (dryRun) {
+        if (isDirectory) {
+            for (const dir of [...virtualDirs]) {
+                if (isUnder(dir, absolutePath)) {
+                    virtualDirs.delete(dir);
+                }
+            }
+            removedDirs.add(absolutePath);
+        }
+    } else {
+        await realFs.remove(targetPath);
+    }
+
+    for (const filePath of files) {
+        changes.get(filePath).after = null;
+    }
+}
+
+async function ensureDir(dirPath) {
+    const absolutePath = path.resolve(dirPath);
+
+    if (!dryRun) {
+        recordMissingDirectories(absolutePath);
+        await realFs.ensureDir(dirPath);
+        return;
+    }
+
+    let current = absolutePath;
+    while (!isDirectoryInView(current)) {
+        virtualDirs.add(current);
+        const parent = path.dirname(current);
+        if (parent === current) break;
+        current = parent;
+    }
+}
+
+async function copy(source, destination, options = {}) {
+    const sourcePath = path.resolve(source);
+    const destinationPath = path.resolve(destination);
+    const overwrite = options.overwrite !== false;
+
+    const pairs = isDirectoryInView(sourcePath)
+        ? listFiles(sourcePath).map(file => [file, path.join(destinationPath, path.relative(sourcePath, file))])
+        : [[sourcePath, destinationPath]];
+
+    if (!dryRun) {
+        const tracked = pairs.map(([, to]) => {
+            recordMissingDirectories(path.dirname(to));
+            return [to, recordOriginal(to)];
+        });
+        await realFs.copy(source, destination, options);
+        for (const [to, change] of tracked) {
+            change.after = readRealFile(to);
+        }
+        return;
+    }
+
+    for (const [from, to] of pairs) {
+        if (!overwrite && existsInView(to)) continue;
+        await ensureDir(path.dirname(to));
+        await writeFile(to, readFileSync(from));
+    }
+}
+
+async function readdir(dirPath) {
+    const absolutePath = path.resolve(dirPath);
+
+    if (!dryRun) {
+        return realFs.readdir(dirPath);
+    }
+
+    if (!isDirectoryInView(absolutePath)) {
+        throw notFound(dirPath);
+    }
+
+    const names = new Set();
+    if (!isRemoved(absolutePath) && realFs.existsSync(absolutePath)) {
+        for (const name of await realFs.readdir(absolutePath)) {
+            if (existsInView(path.join(absolutePath, name))) {
+                names.add(name);
+            }
+        }
+    }
+
+    for (const [filePath, change] of changes) {
+        if (change.after !== null && path.dirname(filePath) === absolutePath) {
+            names.add(path.basename(filePath));
+        }
+    }
+
+    for (const dir of virtualDirs) {
+        if (path.dirname(dir) === absolutePath) {
+            names.add(path.basename(dir));
+        }
+    }
+
+    return [...names].sort();
+}
+
+function statSync(filePath) {
+    const absolutePath = path.resolve(filePath);
+
+    if (dryRun) {
+        const change = changes.get(absolutePath);
+        if (change || isRemoved(absolutePath)) {
+            if (!change || change.after === null) {
+                throw notFound(filePath);
+            }
+            return fakeStats(true, change.after.length);
+        }
+        if (virtualDirs.has(absolutePath)) {
+            return fakeStats(false);
+        }
+    }
+
+    return realFs.statSync(filePath);
+}
+
+function existsSync(filePath) {
+    return dryRun ? existsInView(path.resolve(filePath)) : realFs.existsSync(filePath);
+}
+
+// Run a task against an in-memory copy of the current view of the project and return
+// the changes it would make, leaving both the disk and the tracked changes untouched
+export async function previewChanges(task) {
+    const saved = {
+        dryRun,
+        snapshot,
+        changes: new Map([...changes].map(([filePath, change]) => [filePath, { ...change }])),
+        virtualDirs: new Set(virtualDirs),
+        removedDirs: new Set(removedDirs)
+    };
+    const checkpoint = createCheckpoint();
+
+    dryRun = true;
+    snapshot = null;
+
+    try {
+        await task();
+        return getTrackedChanges(checkpoint);
+    } finally {
+        dryRun = saved.dryRun;
+        snapshot = saved.snapshot;
+        changes.clear();
+        saved.changes.forEach((change, filePath) => changes.set(filePath, change));
+        virtualDirs.clear();
+        saved.virtualDirs.forEach(dir => virtualDirs.add(dir));
+        removedDirs.clear();
+        saved.removedDirs.forEach(dir => removedDirs.add(dir));
+    }
+}
+
+// Track files changed by an external process, such as a package manager install
+export async function trackExternalChanges(filePaths, task) {
+    const tracked = filePaths.map(filePath => {
+        const absolutePath = path.resolve(filePath);
+        return [absolutePath, recordOriginal(absolutePath)];
+    });
+
+    try {
+        return await task();
+    } finally {
+        for (const [absolutePath, change] of tracked) {
+            change.after = readRealFile(absolutePath);
+        }
+    }
+}
+
+// glob() that also sees files created or removed in memory during a dry run
+export async function glob(pattern, options = {}) {
+    const ignore = [].concat(options.ignore || [], ignorePatterns);
+    const matches = await globLib.glob(pattern, { ...options, ignore });
+
+    if (!dryRun) {
+        return matches;
+    }
+
+    const cwd = path.resolve(options.cwd || process.cwd());
+    const result = matches.filter(match => existsInView(path.resolve(cwd, match)));
+
+    for (const [filePath, change] of changes) {
+        if (change.after === null) continue;
+
+        const relativePath = path.relative(cwd, filePath).split(path.sep).join('/');
+        if (relativePath.startsWith('..') || result.includes(relativePath)) continue;
+
+        if (minimatch(relativePath, pattern) && !ignore.some(ignorePattern => minimatch(relativePath, ignorePattern))) {
+            result.push(relativePath);
+        }
+    }
+
+    return result;
+}
+
+export default {
+    existsSync,
+    statSync,
+    readFileSync,
+    readFile,
+    writeFile,
+    appendFile,
+    remove,
+    ensureDir,
+    copy,
+    readdir
+};
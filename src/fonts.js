@@ -0,0 +1,373 @@
+import path from 'path';
+import fs, { glob } from './fileSystem.js';
+import { logger } from './logger.js';
+import { renderValue } from './nextConfig.js';
+import { findExportedObject } from './viteConfig.js';
+
+const GOOGLE_FONTS_IMPORT = /@import\s+(?:url\(\s*)?(['"]?)((?:https?:)?\/\/fonts\.googleapis\.com\/css2?\?[^'")\s]+)\1\s*\)?[^;]*;[ \t]*\n?/g;
+const FONT_FACE = /@font-face\s*\{([^}]*)\}[ \t]*\n?/g;
+
+// Formats next/font/local picks when a @font-face offers several
+const FONT_FORMATS = ['.woff2', '.woff', '.ttf', '.otf', '.eot'];
+
+const TAILWIND_CONFIG_FILES = ['tailwind.config.js', 'tailwind.config.ts', 'tailwind.config.cjs', 'tailwind.config.mjs'];
+
+function toKebabCase(family) {
+    return family.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function toIdentifier(family) {
+    const name = toKebabCase(family).replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+    return /^\d/.test(name) ? `font${name}` : name;
+}
+
+// `wght@400;700`, `ital,wght@0,400;1,700` or `wght@100..900` from a css2 family parameter
+function parseCss2Family(value) {
+    const [family, axes] = value.split(':');
+    const font = { family, weights: new Set(), styles: new Set() };
+
+    if (!axes) {
+        font.weights.add('400');
+        return font;
+    }
+
+    const [names, tuples] = axes.split('@');
+    const axisNames = names.split(',');
+    for (const tuple of (tuples || '').split(';')) {
+        const values = Object.fromEntries(tuple.split(',').map((axisValue, index) => [axisNames[index], axisValue]));
+        font.weights.add(values.wght || '400');
+        font.styles.add(values.ital === '1' ? 'italic' : 'normal');
+    }
+    return font;
+}
+
+// `Roboto:400,700italic` from a family parameter of the older css API
+function parseCssFamily(value) {
+    const [family, variants] = value.split(':');
+    const font = { family, weights: new Set(), styles: new Set() };
+
+    for (const variant of (variants || '400').split(',')) {
+        const match = variant.match(/^(\d+)?(i|italic)?$/);
+        font.weights.add(match?.[1] || '400');
+        font.styles.add(match?.[2] ? 'italic' : 'normal');
+    }
+    return font;
+}
+
+export function parseGoogleFontsUrl(href) {
+    const url = new URL(href, 'https://fonts.googleapis.com');
+    const display = url.searchParams.get('display');
+
+    const fonts = url.pathname === '/css2'
+        ? url.searchParams.getAll('family').map(parseCss2Family)
+        : url.searchParams.getAll('family').flatMap(value => value.split('|')).map(parseCssFamily);
+
+    return fonts.map(font => ({ ...font, display }));
+}
+
+function addFont(fonts, font) {
+    const existing = fonts.find(entry => entry.family === font.family);
+    if (!existing) {
+        fonts.push(font);
+        return;
+    }
+    font.weights.forEach(weight => existing.weights.add(weight));
+    font.styles.forEach(style => existing.styles.add(style));
+    existing.display = existing.display || font.display;
+}
+
+function renderGoogleFont(font) {
+    const weights = [...font.weights];
+    const styles = [...font.styles];
+    const loader = font.family.replace(/\s+/g, '_');
+
+    // Ranges such as 100..900 mean a variable font, which needs no weight
+    const options = {
+        subsets: ['latin'],
+        weight: weights.some(weight => weight.includes('..')) ? undefined : weights,
+        style: styles.length > 1 || styles[0] === 'italic' ? styles : undefined,
+        display: font.display || undefined,
+        variable: `--font-${toKebabCase(font.family)}`
+    };
+
+    return { loader, declaration: `const ${toIdentifier(font.family)} = ${loader}(${renderValue(options)});` };
+}
+
+function readDescriptor(body, name) {
+    return body.match(new RegExp(`(?:^|;|\\s)${name}\\s*:\\s*([^;]+)`))?.[1].trim().replace(/^(['"])(.*)\1$/, '$2') || null;
+}
+
+// The font file of a @font-face src list, preferring the formats browsers load first
+function pickFontFile(src) {
+    const urls = [...src.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)].map(match => match[2]);
+    return urls.sort((a, b) => {
+        const rank = (url) => FONT_FORMATS.indexOf(path.extname(url.replace(/[?#].*$/, '')).toLowerCase());
+        return (rank(a) < 0 ? FONT_FORMATS.length : rank(a)) - (rank(b) < 0 ? FONT_FORMATS.length : rank(b));
+    })[0] || null;
+}
+
+// Local @font-face rules of a stylesheet, with the font file resolved in the project
+function readFontFaces(targetDir, cssFile, css) {
+    const faces = [];
+    const unsupported = [];
+
+    for (const match of css.matchAll(FONT_FACE)) {
+        const body = match[1];
+        const family = readDescriptor(body, 'font-family');
+        const url = pickFontFile(readDescriptor(body, 'src') || '');
+
+        if (!family || !url) {
+            unsupported.push({ rule: match[0], message: 'it has no font-family or src url' });
+            continue;
+        }
+        if (/^(https?:|data:|\/\/)/.test(url)) {
+            unsupported.push({ rule: match[0], family, message: 'its font is not a project file' });
+            continue;
+        }
+
+        const file = url.replace(/[?#].*$/, '');
+        const filePath = file.startsWith('/')
+            ? path.join(targetDir, 'public', file)
+            : path.resolve(path.dirname(path.join(targetDir, cssFile)), file);
+        if (!fs.existsSync(filePath)) {
+            unsupported.push({ rule: match[0], family, message: `${file} does not exist` });
+            continue;
+        }
+
+        faces.push({
+            rule: match[0],
+            family,
+            filePath,
+            weight: readDescriptor(body, 'font-weight'),
+            style: readDescriptor(body, 'font-style'),
+            display: readDescriptor(body, 'font-display')
+        });
+    }
+
+    return { faces, unsupported };
+}
+
+// Where each font file goes in the fonts directory: its name, or for files that share a name
+// with another one, e.g. regular/Inter.woff2 and bold/Inter.woff2, its path below their common folder
+function getFontTargets(filePaths) {
+    const targets = new Map();
+    for (const filePath of filePaths) {
+        const clashes = filePaths.filter(other => path.basename(other) === path.basename(filePath));
+        if (clashes.length === 1) {
+            targets.set(filePath, path.basename(filePath));
+            continue;
+        }
+
+        let common = path.dirname(clashes[0]);
+        while (!clashes.every(other => other.startsWith(common + path.sep))) {
+            common = path.dirname(common);
+        }
+        targets.set(filePath, path.relative(common, filePath));
+    }
+    return targets;
+}
+
+function renderLocalFont(family, faces) {
+    const sources = faces.map(face => ({
+        path: `./fonts/${face.target.split(path.sep).join('/')}`,
+        weight: face.weight || undefined,
+        style: face.style || undefined
+    }));
+    const options = {
+        src: sources.length === 1 && !sources[0].weight && !sources[0].style ? sources[0].path : sources,
+        display: faces.find(face => face.display)?.display,
+        variable: `--font-${toKebabCase(family)}`
+    };
+
+    return `const ${toIdentifier(family)} = localFont(${renderValue(options)});`;
+}
+
+// font-family declarations name the migrated fonts through their CSS variables, since
+// next/font gives the font faces generated names
+function replaceFontFamilies(css, families) {
+    return css.replace(/(font-family\s*:\s*)([^;}]+)/g, (match, property, value) => property + value
+        .split(',')
+        .map(name => {
+            const family = families.find(entry => entry.toLowerCase() === name.trim().replace(/^(['"])(.*)\1$/, '$2').toLowerCase());
+            return family ? name.replace(name.trim(), `var(--font-${toKebabCase(family)})`) : name;
+        })
+        .join(','));
+}
+
+function findProperty(object, name) {
+    return object?.properties.find(property => !property.computed &&
+        (property.key?.name === name || property.key?.value === name)) || null;
+}
+
+// Leading whitespace of the line a node starts on, which also works for one-line objects
+function getLineIndent(source, node) {
+    return source.slice(source.lastIndexOf('\n', node.start - 1) + 1).match(/^[ \t]*/)[0];
+}
+
+// Insert `text` as the last property of an object literal, indented like its properties
+function insertProperty(source, object, text, indent) {
+    const last = object.properties[object.properties.length - 1];
+    if (!last) {
+        const closingIndent = indent.slice(2);
+        return `${source.slice(0, object.start)}{\n${indent}${text},\n${closingIndent}}${source.slice(object.end)}`;
+    }
+
+    const commaIndex = source.slice(last.end, object.end - 1).indexOf(',');
+    const insertAt = commaIndex >= 0 ? last.end + commaIndex + 1 : last.end;
+    return `${source.slice(0, insertAt)}${commaIndex >= 0 ? '' : ','}\n${indent}${text},${source.slice(insertAt)}`;
+}
+
+// Point Tailwind's fontFamily at the font variables: font names the config already
+// uses are replaced, the others are added to theme.extend.fontFamily
+async function updateTailwindFonts(targetDir, families) {
+    const file = TAILWIND_CONFIG_FILES.find(candidate => fs.existsSync(path.join(targetDir, candidate)));
+    if (!file) {
+        return;
+    }
+
+    const configPath = path.join(targetDir, file);
+    const original = await fs.readFile(configPath, 'utf8');
+    let source = original;
+    const replaced = families.filter(family => new RegExp(`(['"])${family}\\1`).test(source));
+
+    for (const family of replaced) {
+        source = source.replace(new RegExp(`(['"])${family}\\1`, 'g'), `$1var(--font-${toKebabCase(family)})$1`);
+    }
+
+    const added = families.filter(family => !replaced.includes(family));
+    if (added.length > 0) {
+        let config = null;
+        try {
+            config = findExportedObject(source, configPath);
+        } catch (error) {
+            logger.warning(`Could not parse ${file}: ${error.message}`);
+        }
+
+        const extend = findProperty(findProperty(config, 'theme')?.value, 'extend');
+        if (extend?.value.type !== 'ObjectExpression') {
+            logger.todo(`Add the ${added.join(', ')} font variables to theme.extend.fontFamily in ${file}`, { file });
+        } else {
+            const entries = added.map(family => {
+                const key = toKebabCase(family);
+                return `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`}: ['var(--font-${key})']`;
+            });
+            const fontFamily = findProperty(extend.value, 'fontFamily');
+            const indent = `${getLineIndent(source, extend)}  `;
+
+            if (fontFamily?.value.type === 'ObjectExpression') {
+                const entryIndent = `${getLineIndent(source, fontFamily)}  `;
+                source = insertProperty(source, fontFamily.value, entries.join(`,\n${entryIndent}`), entryIndent);
+            } else {
+                const block = `fontFamily: {\n${entries.map(entry => `${indent}  ${entry},`).join('\n')}\n${indent}}`;
+                source = insertProperty(source, extend.value, block, indent);
+            }
+        }
+    }
+
+    if (source === original) {
+        return;
+    }
+    await fs.writeFile(configPath, source);
+    logger.success(`Updated fontFamily in ${file} to use the next/font variables`);
+}
+
+// Turn Google Fonts stylesheets (index.html links and @import in the global CSS) into
+// next/font/google and the global CSS's local @font-face rules into next/font/local, with
+// the font files moved next to the layout. Returns the imports and declarations for the
+// layout and the fonts' `variables`, which the layout puts on <html>.
+export async function migrateFonts(targetDir, projectSetup, { appDir, globalCss }) {
+    const googleFonts = [];
+    const result = { imports: [], declarations: [], variables: [] };
+
+    for (const href of projectSetup.indexHtml?.fonts || []) {
+        parseGoogleFontsUrl(href).forEach(font => addFont(googleFonts, font));
+    }
+
+    let css = globalCss ? await fs.readFile(path.join(targetDir, globalCss), 'utf8') : '';
+    for (const match of css.matchAll(GOOGLE_FONTS_IMPORT)) {
+        parseGoogleFontsUrl(match[2]).forEach(font => addFont(googleFonts, font));
+    }
+    css = css.replace(GOOGLE_FONTS_IMPORT, '');
+
+    const { faces, unsupported } = globalCss ? readFontFaces(targetDir, globalCss, css) : { faces: [], unsupported: [] };
+    for (const { family, message } of unsupported) {
+        logger.todo(`@font-face ${family || ''} in ${globalCss} was not moved to next/font/local because ${message}`, { file: globalCss });
+    }
+
+    if (googleFonts.length === 0 && faces.length === 0) {
+        return result;
+    }
+
+    if (googleFonts.length > 0) {
+        const rendered = googleFonts.map(renderGoogleFont);
+        result.imports.push(`import { ${rendered.map(font => font.loader).join(', ')} } from 'next/font/google';`);
+        result.declarations.push(...rendered.map(font => font.declaration));
+        result.variables.push(...googleFonts.map(font => toIdentifier(font.family)));
+        logger.success(`Loading ${googleFonts.map(font => font.family).join(', ')} with next/font/google`);
+    }
+
+    const localFamilies = [...new Set(faces.map(face => face.family))];
+    if (localFamilies.length > 0) {
+        const fontsDir = path.join(appDir, 'fonts');
+        const publicDir = path.resolve(targetDir, 'public');
+        const targets = getFontTargets([...new Set(faces.map(face => face.filePath))]);
+        faces.forEach(face => face.target = targets.get(face.filePath));
+
+        // Files in public/ keep their URL for whatever else loads them, e.g. a preload <link>
+        const moved = [];
+        for (const [filePath, target] of targets) {
+            const destination = path.join(fontsDir, target);
+            await fs.ensureDir(path.dirname(destination));
+            await fs.copy(filePath, destination);
+            if (path.resolve(filePath).startsWith(publicDir + path.sep)) {
+                logger.detail(`Copied ${path.relative(targetDir, filePath)} to ${path.relative(targetDir, destination)}`);
+            } else {
+                await fs.remove(filePath);
+                moved.push(filePath);
+                logger.detail(`Moved ${path.relative(targetDir, filePath)} to ${path.relative(targetDir, destination)}`);
+            }
+        }
+        // Deepest first, so that folders left with only emptied subfolders go too
+        const dirs = [...new Set(moved.map(filePath => path.resolve(path.dirname(filePath))))].sort((a, b) => b.length - a.length);
+        for (let dir of dirs) {
+            while (dir.startsWith(path.resolve(targetDir) + path.sep) && fs.existsSync(dir) && (await fs.readdir(dir)).length === 0) {
+                await fs.remove(dir);
+                dir = path.dirname(dir);
+            }
+        }
+
+        result.imports.push(`import localFont from 'next/font/local';`);
+        result.declarations.push(...localFamilies.map(family => renderLocalFont(family, faces.filter(face => face.family === family))));
+        result.variables.push(...localFamilies.map(toIdentifier));
+        logger.success(`Loading ${localFamilies.join(', ')} with next/font/local`);
+
+        for (const face of faces) {
+            css = css.replace(face.rule, '');
+        }
+    }
+
+    if (globalCss) {
+        await fs.writeFile(path.join(targetDir, globalCss), `${css.replace(/\n{3,}/g, '\n\n').trimEnd()}\n`);
+    }
+
+    // Other stylesheets name the fonts as well
+    const families = [...googleFonts.map(font => font.family), ...localFamilies];
+    const stylesheets = await glob('**/*.{css,scss,sass,less}', {
+        cwd: targetDir,
+        ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'public/**']
+    });
+    for (const stylesheet of stylesheets.sort()) {
+        const content = await fs.readFile(path.join(targetDir, stylesheet), 'utf8');
+        const updated = replaceFontFamilies(content, families);
+        if (updated !== content) {
+            await fs.writeFile(path.join(targetDir, stylesheet), updated);
+            logger.success(`Updated font-family in ${stylesheet} to the next/font variables`);
+        }
+    }
+
+    if (projectSetup.cssFramework === 'tailwind') {
+        await updateTailwindFonts(targetDir, families);
+    }
+
+    return result;
+}
@@ -0,0 +1,100 @@
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const DEFAULT_MIGRATION_BRANCH = 'vite2next-migration';
+
+// Snapshots in .vite2next belong to the tool, not to the migrated project
+const SNAPSHOT_DIR = '.vite2next';
+const PROJECT_PATHSPEC = ['.', `:(exclude)${SNAPSHOT_DIR}`];
+
+async function git(targetDir, args) {
+    const { stdout } = await execFileAsync('git', args, { cwd: targetDir });
+    return stdout.trim();
+}
+
+export async function isGitRepository(targetDir) {
+    try {
+        return (await git(targetDir, ['rev-parse', '--is-inside-work-tree'])) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Uncommitted or untracked files below targetDir
+export async function getUncommittedFiles(targetDir) {
+    const { stdout } = await execFileAsync('git', ['status', '--porcelain', '--', ...PROJECT_PATHSPEC], { cwd: targetDir });
+    return stdout.split('\n').filter(Boolean).map(line => line.slice(3));
+}
+
+export async function createBranch(targetDir, name) {
+    await git(targetDir, ['checkout', '-b', name]);
+}
+
+function describeFiles(files) {
+    const sections = [
+        ['Created', files.created],
+        ['Modified', files.modified],
+        ['Deleted', files.deleted],
+        ['Moved', files.moved.map(move => `${move.from} -> ${move.to}`)]
+    ];
+
+    return sections
+        .filter(([, list]) => list.length > 0)
+        .map(([label, list]) => `${label}:\n${list.map(file => `- ${file}`).join('\n')}`)
+        .join('\n\n');
+}
+
+// The paths a step changed that git can stage: tracked files and files .gitignore doesn't name,
+// including files outside targetDir in the same repository, e.g. the workspace root's lock file
+async function getStepPaths(targetDir, files) {
+    const changed = [
+        ...files.created,
+        ...files.modified,
+        ...files.deleted,
+        ...files.moved.flatMap(move => [move.from, move.to])
+    ].filter(file => !file.startsWith(SNAPSHOT_DIR));
+    if (changed.length === 0) {
+        return [];
+    }
+
+    const topLevel = await git(targetDir, ['rev-parse', '--show-toplevel']);
+    const inRepository = changed.filter(file => !path.relative(topLevel, path.resolve(targetDir, file)).startsWith('..'));
+    if (inRepository.length === 0) {
+        return [];
+    }
+
+    // A pathspec matching nothing makes `git add` fail. Literal pathspecs, so paths like app/[id]/page.tsx are not read as globs
+    const listed = await git(targetDir, ['--literal-pathspecs', 'ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', ...inRepository]);
+    return [...new Set(listed.split('\0').filter(Boolean))];
+}
+
+// Commit what a step changed, leaving the user's other changes alone. Returns the commit hash,
+// or null when the step changed nothing.
+export async function commitStep(targetDir, step, files) {
+    const paths = await getStepPaths(targetDir, files);
+    if (paths.length === 0) {
+        return null;
+    }
+
+    await git(targetDir, ['--literal-pathspecs', 'add', '--all', '--', ...paths]);
+
+    const staged = await git(targetDir, ['--literal-pathspecs', 'diff', '--cached', '--name-only', '--', ...paths]);
+    if (!staged) {
+        return null;
+    }
+
+    const body = describeFiles(files);
+    const message = `vite2next: ${step.title}\n\nMigration step "${step.name}".${body ? `\n\n${body}` : ''}`;
+    try {
+        await git(targetDir, ['--literal-pathspecs', 'commit', '--quiet', '-m', message, '--', ...paths]);
+    } catch (error) {
+        // Leave the index as it was so restoring the snapshot gives a clean tree
+        await git(targetDir, ['--literal-pathspecs', 'reset', '--quiet', '--', ...paths]);
+        throw error;
+    }
+
+    return git(targetDir, ['rev-parse', '--short', 'HEAD']);
+}
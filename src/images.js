@@ -1,21 +1,20 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
-import * as glob from 'glob';
 import path from 'path';
+import fs, { glob } from './fileSystem.js';
+import { logger } from './logger.js';
 
 export async function updateImageImports(targetDir) {
-    console.log(chalk.blue('Step 7: Updating static image imports...'));
+    logger.startStep('Updating static image imports');
 
     try {
         // Find all JS/TS/JSX/TSX files
-        const jsFiles = await glob.glob('**/*.{js,jsx,ts,tsx}', {
+        const jsFiles = await glob('**/*.{js,jsx,ts,tsx}', {
             cwd: targetDir,
             ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**']
         });
 
         if (jsFiles.length === 0) {
-            console.log(chalk.yellow('i No JavaScript/TypeScript files found'));
-            console.log(chalk.green('✓ Step 6 completed'));
+            logger.info('No JavaScript/TypeScript files found');
+            logger.stepComplete();
             return true;
         }
 
@@ -57,7 +56,7 @@ declare module '*.webp' {
 }
 `;
             await fs.writeFile(imageDtsPath, imageDtsContent);
-            console.log(chalk.green('√ Created types/image.d.ts for image imports'));
+            logger.success('Created types/image.d.ts for image imports');
 
             // Update tsconfig.json to include the new types
             const tsConfigPath = path.join(targetDir, 'tsconfig.json');
@@ -73,15 +72,15 @@ declare module '*.webp' {
             }
         }
 
-        console.log(chalk.yellow('! Image imports in your code may need to be updated manually'));
-        console.log(chalk.gray('  For absolute imports from /public, use relative imports instead'));
-        console.log(chalk.gray('  Example: import logo from \'/logo.png\' → import logo from \'../public/logo.png\''));
-        console.log(chalk.gray('  For img tags, use the src property: <img src={logo.src} />'));
+        logger.todo('Image imports in your code may need to be updated manually');
+        logger.detail('For absolute imports from /public, use relative imports instead');
+        logger.detail('Example: import logo from \'/logo.png\' → import logo from \'../public/logo.png\'');
+        logger.detail('For img tags, use the src property: <img src={logo.src} />');
 
-        console.log(chalk.green('✓ Step 6 completed'));
+        logger.stepComplete();
         return true;
     } catch (error) {
-        console.error(chalk.red(`Error updating image imports: ${error.message}`));
+        logger.error('Error updating image imports', error.message);
         throw error;
     }
 } 
\ No newline at end of file
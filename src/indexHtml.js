@@ -0,0 +1,297 @@
+import fs from 'fs-extra';
+import { JSDOM } from 'jsdom';
+import path from 'path';
+
+export const INDEX_HTML_FILE = 'index.html';
+
+// <meta name> tags with a direct Metadata field
+const META_NAMES = {
+    description: 'description',
+    'application-name': 'applicationName',
+    generator: 'generator',
+    referrer: 'referrer',
+    robots: 'robots',
+    creator: 'creator',
+    publisher: 'publisher',
+    category: 'category'
+};
+
+// og:* properties, the Open Graph image ones are collected into images
+const OPEN_GRAPH_PROPERTIES = {
+    'og:title': 'title',
+    'og:description': 'description',
+    'og:url': 'url',
+    'og:site_name': 'siteName',
+    'og:type': 'type',
+    'og:locale': 'locale'
+};
+
+const TWITTER_NAMES = {
+    'twitter:card': 'card',
+    'twitter:site': 'site',
+    'twitter:creator': 'creator',
+    'twitter:title': 'title',
+    'twitter:description': 'description'
+};
+
+// viewport content keys → Viewport fields
+const VIEWPORT_KEYS = {
+    width: 'width',
+    height: 'height',
+    'initial-scale': 'initialScale',
+    'minimum-scale': 'minimumScale',
+    'maximum-scale': 'maximumScale',
+    'user-scalable': 'userScalable',
+    'viewport-fit': 'viewportFit',
+    'interactive-widget': 'interactiveWidget'
+};
+
+// What Next.js renders without a viewport export
+const DEFAULT_VIEWPORT = { width: 'device-width', initialScale: 1 };
+
+const GOOGLE_FONTS_CSS = /^(https?:)?\/\/fonts\.googleapis\.com\/css2?\?/;
+const GOOGLE_FONTS_HOSTS = /^(https?:)?\/\/fonts\.(googleapis|gstatic)\.com\b/;
+
+const ICON_RELS = {
+    icon: 'icon',
+    'shortcut icon': 'shortcut',
+    'apple-touch-icon': 'apple'
+};
+
+function parseViewport(content) {
+    const viewport = {};
+
+    for (const entry of content.split(',')) {
+        const [key, value] = entry.split('=').map(part => part?.trim());
+        const field = VIEWPORT_KEYS[key?.toLowerCase()];
+        if (!field || !value) continue;
+
+        if (field === 'userScalable') {
+            viewport[field] = !['no', '0'].includes(value.toLowerCase());
+        } else if (/^\d+(\.\d+)?$/.test(value)) {
+            viewport[field] = Number(value);
+        } else {
+            viewport[field] = value;
+        }
+    }
+
+    return viewport;
+}
+
+function pushTo(object, key, value) {
+    object[key] = [...(object[key] || []), value];
+}
+
+function getAttributes(element, names) {
+    return Object.fromEntries(names
+        .filter(name => element.hasAttribute(name))
+        .map(name => [name, element.getAttribute(name)]));
+}
+
+const IMAGE_FIELDS = { url: 'url', secure_url: 'secureUrl', width: 'width', height: 'height', alt: 'alt', type: 'type' };
+
+// An og:image or twitter:image, with the :width/:height/:alt tags that follow it
+function addImage(images, key, content) {
+    const field = IMAGE_FIELDS[key.split(':')[2]];
+    if (key.split(':').length === 2) {
+        images.push({ url: content });
+    } else if (images.length > 0 && field) {
+        images[images.length - 1][field] = ['width', 'height'].includes(field) && /^\d+$/.test(content) ? Number(content) : content;
+    }
+}
+
+function readMeta(element, head) {
+    const { metadata, viewport, openGraph, twitter } = head;
+    const name = element.getAttribute('name')?.toLowerCase();
+    const property = element.getAttribute('property')?.toLowerCase();
+    const content = element.getAttribute('content');
+
+    // Next.js always renders the charset itself
+    if (element.hasAttribute('charset')) return true;
+    if (content === null) return false;
+
+    if (name === 'viewport') {
+        Object.assign(viewport, parseViewport(content));
+    } else if (name === 'theme-color') {
+        const media = element.getAttribute('media');
+        pushTo(viewport, 'themeColor', media ? { media, color: content } : { color: content });
+    } else if (name === 'color-scheme') {
+        viewport.colorScheme = content;
+    } else if (name === 'keywords') {
+        metadata.keywords = content.split(',').map(keyword => keyword.trim()).filter(Boolean);
+    } else if (name === 'author') {
+        pushTo(metadata, 'authors', { name: content });
+    } else if (META_NAMES[name]) {
+        metadata[META_NAMES[name]] = content;
+    } else if (OPEN_GRAPH_PROPERTIES[property]) {
+        openGraph[OPEN_GRAPH_PROPERTIES[property]] = content;
+    } else if (/^og:image(:|$)/.test(property)) {
+        addImage(openGraph.images, property, content);
+    } else if (TWITTER_NAMES[name || property]) {
+        twitter[TWITTER_NAMES[name || property]] = content;
+    } else if (/^twitter:image(:|$)/.test(name || property)) {
+        addImage(twitter.images, name || property, content);
+    } else if (name) {
+        // Anything else, e.g. verification tags, is rendered as is through `other`
+        metadata.other = { ...metadata.other, [element.getAttribute('name')]: content };
+    } else {
+        return false;
+    }
+    return true;
+}
+
+function readLink(element, head) {
+    const { metadata, icons, alternates } = head;
+    const rel = element.getAttribute('rel')?.toLowerCase().trim();
+    const href = element.getAttribute('href');
+
+    if (!href) return false;
+
+    if (ICON_RELS[rel]) {
+        pushTo(icons, ICON_RELS[rel], { url: href, ...getAttributes(element, ['type', 'sizes', 'media']) });
+    } else if (rel === 'manifest') {
+        metadata.manifest = href;
+    } else if (rel === 'canonical') {
+        alternates.canonical = href;
+    } else if (rel === 'stylesheet' && GOOGLE_FONTS_CSS.test(href)) {
+        head.fonts.push(href);
+    } else if (['preconnect', 'dns-prefetch'].includes(rel) && GOOGLE_FONTS_HOSTS.test(href)) {
+        // next/font serves Google Fonts from the app itself
+    } else if (rel === 'alternate' && element.hasAttribute('hreflang')) {
+        alternates.languages = { ...alternates.languages, [element.getAttribute('hreflang')]: href };
+    } else {
+        return false;
+    }
+    return true;
+}
+
+const JAVASCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+// Third-party widgets that nothing waits for, loaded when the browser is idle
+const LAZY_SCRIPT_HOSTS = [
+    'widget.intercom.io', 'js.intercomcdn.com', 'client.crisp.chat', 'embed.tawk.to', 'js.driftt.com',
+    'static.zdassets.com', 'static.hotjar.com', 'js.hs-scripts.com', 'connect.facebook.net', 'platform.twitter.com'
+];
+
+// Attributes next/script handles itself or that need their React name
+const SCRIPT_ATTRIBUTES = { async: null, defer: null, src: null, crossorigin: 'crossOrigin', nomodule: 'noModule', referrerpolicy: 'referrerPolicy' };
+
+// The Vite entry (`<script type="module" src="/src/main.tsx">`) and other local modules
+// are bundled by Vite; the generated pages replace them
+function isViteEntry(element) {
+    const src = element.getAttribute('src');
+    return element.getAttribute('type') === 'module' && !!src && !/^(https?:)?\/\//.test(src);
+}
+
+// beforeInteractive for scripts that block parsing of the head, as they did in index.html
+function getScriptStrategy(element) {
+    const src = element.getAttribute('src') || '';
+    const blocking = !element.hasAttribute('async') && !element.hasAttribute('defer') && element.getAttribute('type') !== 'module';
+
+    if (blocking && element.closest('head')) return 'beforeInteractive';
+    if (LAZY_SCRIPT_HOSTS.some(host => src.includes(`//${host}/`))) return 'lazyOnload';
+    return 'afterInteractive';
+}
+
+function readScript(element, dom) {
+    const attributes = {};
+    for (const { name, value } of element.attributes) {
+        const attribute = name in SCRIPT_ATTRIBUTES ? SCRIPT_ATTRIBUTES[name] : name;
+        if (attribute) attributes[attribute] = value;
+    }
+
+    return {
+        src: element.getAttribute('src') || null,
+        content: element.hasAttribute('src') ? null : element.textContent,
+        attributes,
+        strategy: getScriptStrategy(element),
+        line: dom.nodeLocation(element)?.startLine
+    };
+}
+
+// Parse index.html before the cleanup step deletes it. Returns { file, entry, lang, metadata,
+// viewport, scripts, noscripts, fonts, unsupported } with the Vite entry module, metadata and
+// viewport shaped like Next.js' Metadata and Viewport objects, the scripts to load with
+// next/script, the <noscript> blocks, the Google Fonts stylesheet URLs and the elements none
+// of them can express in unsupported, or null when the project has no index.html.
+export function readIndexHtml(targetDir) {
+    const filePath = path.join(targetDir, INDEX_HTML_FILE);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let dom;
+    try {
+        dom = new JSDOM(fs.readFileSync(filePath, 'utf8'), { includeNodeLocations: true });
+    } catch (error) {
+        return { file: INDEX_HTML_FILE, entry: null, lang: null, metadata: {}, viewport: {}, scripts: [], noscripts: [], fonts: [], unsupported: [], error: error.message };
+    }
+
+    const { document } = dom.window;
+    const head = { metadata: {}, viewport: {}, openGraph: { images: [] }, twitter: { images: [] }, icons: {}, alternates: {}, fonts: [] };
+    const unsupported = [];
+    const scripts = [];
+    const noscripts = [];
+    let entry = null;
+
+    for (const element of document.querySelectorAll('script')) {
+        if (isViteEntry(element) && !entry) {
+            entry = element.getAttribute('src').replace(/^\.?\//, '');
+        }
+        if (element.closest('noscript') || isViteEntry(element)) continue;
+
+        if (JAVASCRIPT_TYPES.includes((element.getAttribute('type') || '').toLowerCase())) {
+            scripts.push(readScript(element, dom));
+        } else {
+            unsupported.push({ element: element.outerHTML.split('\n')[0], tag: 'script', line: dom.nodeLocation(element)?.startLine });
+        }
+    }
+
+    for (const element of document.querySelectorAll('noscript')) {
+        noscripts.push({ html: element.innerHTML.trim(), line: dom.nodeLocation(element)?.startLine });
+    }
+
+    for (const element of document.head.children) {
+        const tag = element.tagName.toLowerCase();
+        let handled = ['script', 'noscript'].includes(tag);
+
+        if (tag === 'title') {
+            head.metadata.title = element.textContent.trim();
+            handled = true;
+        } else if (tag === 'meta') {
+            handled = readMeta(element, head);
+        } else if (tag === 'link') {
+            handled = readLink(element, head);
+        }
+
+        if (!handled) {
+            unsupported.push({ element: element.outerHTML.split('\n')[0], tag, line: dom.nodeLocation(element)?.startLine });
+        }
+    }
+
+    const { metadata, openGraph, twitter, icons, alternates } = head;
+    for (const [key, value] of [['openGraph', openGraph], ['twitter', twitter]]) {
+        if (value.images.length === 0) delete value.images;
+        if (Object.keys(value).length > 0) metadata[key] = value;
+    }
+    if (Object.keys(icons).length > 0) metadata.icons = icons;
+    if (Object.keys(alternates).length > 0) metadata.alternates = alternates;
+
+    // Settings Next.js renders by default don't need to be exported
+    const viewport = Object.fromEntries(Object.entries(head.viewport)
+        .filter(([key, value]) => DEFAULT_VIEWPORT[key] !== value)
+        .map(([key, value]) => [key, key === 'themeColor' && value.length === 1 && !value[0].media ? value[0].color : value]));
+
+    return {
+        file: INDEX_HTML_FILE,
+        entry,
+        lang: document.documentElement.getAttribute('lang') || null,
+        // Title first, where it is easiest to find
+        metadata: 'title' in metadata ? { title: metadata.title, ...metadata } : metadata,
+        viewport,
+        scripts,
+        noscripts,
+        fonts: head.fonts,
+        unsupported: unsupported.sort((a, b) => a.line - b.line)
+    };
+}
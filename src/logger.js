@@ -4,17 +4,58 @@ import ora from 'ora';
 const spinner = ora();
 let stepCount = 0;
 let totalSteps = 0;
+let currentStep = null;
+let silent = false;
+
+// Warnings and manual follow-ups are collected so callers of the API can inspect them
+let warnings = [];
+let todos = [];
+
+function print(...args) {
+    if (!silent) {
+        console.log(...args);
+    }
+}
 
 export const logger = {
+    configure(options = {}) {
+        silent = !!options.silent;
+        spinner.isSilent = silent;
+    },
+
     init(steps) {
         totalSteps = steps;
         stepCount = 0;
+        currentStep = null;
+        warnings = [];
+        todos = [];
+    },
+
+    // Name of the migration step that warnings and todos are attributed to
+    setCurrentStep(name) {
+        currentStep = name;
+    },
+
+    // Run a task without printing or collecting anything, e.g. to preview a step
+    async quietly(task) {
+        const saved = { silent, stepCount, currentStep, warnings, todos };
+        silent = true;
+        spinner.isSilent = true;
+        warnings = [];
+        todos = [];
+
+        try {
+            return await task();
+        } finally {
+            ({ silent, stepCount, currentStep, warnings, todos } = saved);
+            spinner.isSilent = silent;
+        }
     },
 
     startStep(message) {
         stepCount++;
-        console.log('');
-        console.log(chalk.blue.bold(`Step ${stepCount}/${totalSteps}: ${message}`));
+        print('');
+        print(chalk.blue.bold(`Step ${stepCount}/${totalSteps}: ${message}`));
         return stepCount;
     },
 
@@ -32,38 +73,45 @@ export const logger = {
     },
 
     success(message) {
-        console.log(chalk.green(`  ✓ ${message}`));
+        print(chalk.green(`  ✓ ${message}`));
+    },
+
+    warning(message, location) {
+        warnings.push({ step: currentStep, message, ...location });
+        print(chalk.yellow(`  ⚠ ${message}`));
     },
 
-    warning(message) {
-        console.log(chalk.yellow(`  ⚠ ${message}`));
+    // Something the user has to finish by hand after the migration
+    todo(message, location) {
+        todos.push({ step: currentStep, message, ...location });
+        print(chalk.yellow(`  ☐ ${message}`));
     },
 
     error(message, details) {
-        console.log(chalk.red(`  ✖ ${message}`));
+        print(chalk.red(`  ✖ ${message}`));
         if (details) {
-            console.log(chalk.gray(`    ${details}`));
+            print(chalk.gray(`    ${details}`));
         }
     },
 
     info(message) {
-        console.log(chalk.cyan(`  ℹ ${message}`));
+        print(chalk.cyan(`  ℹ ${message}`));
     },
 
     detail(message) {
-        console.log(chalk.gray(`    ${message}`));
+        print(chalk.gray(`    ${message}`));
     },
 
     stepComplete() {
-        console.log(chalk.green.bold(`  ✓ Step ${stepCount} completed`));
+        print(chalk.green.bold(`  ✓ Step ${stepCount} completed`));
     },
 
     divider() {
-        console.log(chalk.gray('  ' + '-'.repeat(50)));
+        print(chalk.gray('  ' + '-'.repeat(50)));
     },
 
     newLine() {
-        console.log('');
+        print('');
     },
 
     progressBar(current, total, message) {
@@ -73,7 +121,15 @@ export const logger = {
         const emptyWidth = width - filledWidth;
 
         const bar = '█'.repeat(filledWidth) + '░'.repeat(emptyWidth);
-        console.log(`  ${bar} ${percentage}% | ${message}`);
+        print(`  ${bar} ${percentage}% | ${message}`);
+    },
+
+    getWarnings() {
+        return [...warnings];
+    },
+
+    getTodos() {
+        return [...todos];
     }
 };
 
@@ -89,27 +145,13 @@ export function displayBanner() {
     console.log('');
 }
 
-export function displayMigrationSteps() {
+export function displayMigrationSteps(steps) {
     console.log('');
     console.log(chalk.blue.bold('The following steps will be performed:'));
     console.log('');
 
-    const steps = [
-        'Clean up Vite files',
-        'Install Next.js dependencies',
-        'Create Next.js configuration file',
-        'Update TypeScript configuration (if applicable)',
-        'Create root layout file',
-        'Create entrypoint page',
-        'Update static image imports',
-        'Migrate environment variables',
-        'Update package.json scripts',
-        'Setup React Router compatibility (if applicable)',
-        'Migrate static assets'
-    ];
-
     steps.forEach((step, index) => {
-        console.log(chalk.gray(`  ${index + 1}.`) + ` ${step}`);
+        console.log(chalk.gray(`  ${index + 1}.`) + ` ${step.title} ${chalk.gray(`(${step.name})`)}`);
     });
 
     console.log('');
@@ -139,13 +181,12 @@ export function displayNextSteps(projectSetup = {}) {
     } else if (projectSetup.cssFramework === 'styled-components') {
         steps.push('Use the created styled-components registry for server components');
     } else if (projectSetup.cssFramework === 'emotion') {
-        steps.push('Use the emotion cache for server component support');
+        steps.push('Use the created emotion registry for server components');
     } else if (projectSetup.cssFramework === 'mui') {
         steps.push('Configure your Material UI theme in src/lib/mui-theme.ts');
     }
 
     steps.push(
-        'Optimize fonts with next/font',
         'Optimize third-party scripts with the <Script> component',
         'Review your routes and implement App Router features gradually'
     );
@@ -182,4 +223,118 @@ export function displayCompletionMessage(startTime) {
     console.log(chalk.green.bold('└─────────────────────────────────────────┘'));
     console.log(chalk.gray(`Total time: ${elapsedTime} seconds`));
     console.log('');
-} 
\ No newline at end of file
+}
+
+const changeLabels = {
+    create: chalk.green('create'),
+    modify: chalk.yellow('modify'),
+    delete: chalk.red('delete'),
+    move: chalk.cyan('move  ')
+};
+
+function displayChangeList(plan) {
+    for (const entry of plan) {
+        const target = entry.type === 'move' ? `${entry.from} → ${entry.path}` : entry.path;
+        console.log(`  ${changeLabels[entry.type]} ${target}`);
+    }
+}
+
+function displayDiffs(plan) {
+    for (const entry of plan) {
+        if (!entry.diff) continue;
+
+        console.log('');
+        for (const line of entry.diff.split('\n')) {
+            if (line.startsWith('+++') || line.startsWith('---')) {
+                console.log(chalk.bold(line));
+            } else if (line.startsWith('+')) {
+                console.log(chalk.green(line));
+            } else if (line.startsWith('-')) {
+                console.log(chalk.red(line));
+            } else if (line.startsWith('@@')) {
+                console.log(chalk.cyan(line));
+            } else if (!line.startsWith('=====')) {
+                console.log(line);
+            }
+        }
+    }
+}
+
+export function displayChangePlan(plan) {
+    console.log('');
+    console.log(chalk.blue.bold('Planned changes (dry run):'));
+    console.log('');
+
+    if (plan.length === 0) {
+        console.log(chalk.gray('  No files would be changed'));
+        console.log('');
+        return;
+    }
+
+    displayChangeList(plan);
+    displayDiffs(plan);
+
+    const counts = plan.reduce((acc, entry) => {
+        acc[entry.type] = (acc[entry.type] || 0) + 1;
+        return acc;
+    }, {});
+
+    console.log('');
+    console.log(chalk.blue.bold(
+        `Plan: ${counts.create || 0} to create, ${counts.modify || 0} to modify, ` +
+        `${counts.delete || 0} to delete, ${counts.move || 0} to move`
+    ));
+    console.log(chalk.gray('No files were changed (dry run)'));
+    console.log('');
+}
+
+// What a step is about to do, shown before each step in --interactive mode
+export function displayStepReview(review, showDiffs = false) {
+    console.log('');
+    console.log(chalk.blue.bold(`${review.step.title} (${review.step.name})`));
+    console.log('');
+
+    if (review.changes.length === 0) {
+        console.log(chalk.gray('  No files would be changed'));
+    } else {
+        displayChangeList(review.changes);
+    }
+
+    for (const choice of review.choices) {
+        const value = Array.isArray(choice.value)
+            ? choice.value.join(', ') || 'none'
+            : choice.value || 'none';
+        console.log(`  ${chalk.cyan('?')} ${choice.message}: ${chalk.bold(value)}`);
+    }
+
+    if (showDiffs) {
+        displayDiffs(review.changes);
+    }
+
+    console.log('');
+}
+
+export function displayDoctorReport(result) {
+    console.log('');
+    console.log(chalk.blue.bold('Checking migrated project:'));
+    console.log('');
+
+    if (result.issues.length === 0) {
+        console.log(chalk.green('  ✓ No problems found'));
+        console.log('');
+        return;
+    }
+
+    for (const issue of result.issues) {
+        const location = issue.file ? chalk.gray(`${issue.file}${issue.line ? `:${issue.line}` : ''} `) : '';
+        const label = issue.severity === 'error' ? chalk.red('✖ error  ') : chalk.yellow('⚠ warning');
+        console.log(`  ${label} ${location}${issue.message} ${chalk.gray(`(${issue.check})`)}`);
+    }
+
+    console.log('');
+    console.log((result.ok ? chalk.yellow : chalk.red).bold(
+        `${result.errors.length} error${result.errors.length === 1 ? '' : 's'}, ` +
+        `${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'}`
+    ));
+    console.log('');
+}
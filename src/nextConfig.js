@@ -1,96 +1,470 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
 import path from 'path';
+import { resolveViteAliases } from './aliases.js';
+import { findHardcodedBasePaths, resolveViteBase, resolveViteOutDir } from './basePath.js';
+import { resolveViteCssOptions } from './cssOptions.js';
+import { resolveViteDefines } from './define.js';
+import fs, { glob } from './fileSystem.js';
+import { logger } from './logger.js';
+import { getNextCapabilities, parseMajorVersion } from './nextVersions.js';
+import { findExportedObject } from './viteConfig.js';
+import { resolveViteProxy } from './proxy.js';
+import { describePlugin, resolveVitePlugins } from './vitePlugins.js';
+
+// Raw JavaScript placed in the generated config as is, e.g. a function
+export function code(source) {
+    return { $code: source };
+}
+
+// A method such as `async rewrites() { ... }`, rendered without a key
+function method(source) {
+    return { $method: source };
+}
 
-export async function createNextConfig(targetDir, projectSetup) {
-    console.log(chalk.blue('Step 3: Creating Next.js configuration...'));
+function renderKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : renderValue(key);
+}
 
-    const nextConfigPath = path.join(targetDir, 'next.config.js');
-    if (fs.existsSync(nextConfigPath)) {
-        console.log(chalk.yellow('i next.config.js already exists, skipping creation'));
-        return true;
+export function renderValue(value, indent = '') {
+    if (value && value.$code !== undefined) {
+        return value.$code;
     }
 
-    let configContent = '';
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+    }
 
-    // Create appropriate Next.js config based on CSS framework and other requirements
-    if (projectSetup.cssFramework === 'styled-components') {
-        // For styled-components, create a registry file
-        await createStyledComponentsRegistry(targetDir, projectSetup.usesTypeScript);
+    const inner = indent + '  ';
 
-        configContent = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  compiler: {
-    styledComponents: true,
-  },
-  reactStrictMode: true,
-  swcMinify: true,
-  images: {
-    formats: ['image/avif', 'image/webp'],
-  },
-  experimental: {
-    optimizeCss: true,
-  },
+    if (Array.isArray(value)) {
+        if (value.every(item => item === null || typeof item !== 'object')) {
+            return `[${value.map(item => renderValue(item)).join(', ')}]`;
+        }
+        return `[\n${value.map(item => `${inner}${renderValue(item, inner)},\n`).join('')}${indent}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, entryValue]) => entryValue !== undefined);
+        return `{\n${entries.map(([key, entryValue]) => entryValue?.$method !== undefined
+            ? `${inner}${indentLines(entryValue.$method, inner).trimStart()},\n`
+            : `${inner}${renderKey(key)}: ${renderValue(entryValue, inner)},\n`).join('')}${indent}}`;
+    }
+
+    return String(value);
 }
 
-export default nextConfig;`;
-    } else if (projectSetup.cssFramework === 'emotion') {
-        // For emotion, create a cache file
-        await createEmotionCache(targetDir, projectSetup.usesTypeScript);
-
-        configContent = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  reactStrictMode: true,
-  swcMinify: true,
-  images: {
-    formats: ['image/avif', 'image/webp'],
-  },
-  experimental: {
-    optimizeCss: true,
-  },
+function indentLines(source, indent) {
+    return source.split('\n').map(line => line ? indent + line : line).join('\n');
 }
 
-export default nextConfig;`;
-    } else if (projectSetup.cssFramework === 'mui') {
-        // For MUI, create a theme file
-        await createMuiTheme(targetDir, projectSetup.usesTypeScript);
+// Boilerplate every generated config starts with, for the targeted Next.js version;
+// merging into an existing config only adds what was migrated from Vite
+function createDefaultOptions(capabilities, optimizeCss) {
+    return {
+        reactStrictMode: true,
+        swcMinify: capabilities.swcMinify || undefined,
+        images: {
+            formats: ['image/avif', 'image/webp'],
+        },
+        experimental: optimizeCss ? {
+            // Inlines critical CSS with capabilities.criticalCss, which the dependencies step installs
+            optimizeCss: true,
+        } : undefined,
+    };
+}
 
-        configContent = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  reactStrictMode: true,
-  swcMinify: true,
-  images: {
-    formats: ['image/avif', 'image/webp'],
-  },
-  experimental: {
-    optimizeCss: true,
-  },
+export const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts'];
+
+// Whether the migration turns on experimental.optimizeCss: only a next.config generated by the
+// selected next-config step does, a merged one keeps the project's settings. Decided once before
+// the steps run, so the dependencies step adds the critical CSS package for it and nothing else.
+export function resolveOptimizeCss(targetDir, projectSetup, steps) {
+    return !!getNextCapabilities(targetDir, projectSetup).criticalCss &&
+        steps.some(step => step.name === 'next-config') &&
+        !NEXT_CONFIG_FILES.some(file => fs.existsSync(path.join(targetDir, file)));
+}
+
+// --output: `server` keeps next start, `export` builds a static site, `standalone` a self-contained server
+export const OUTPUT_MODES = ['server', 'export', 'standalone'];
+
+// The pieces of next.config: import lines, the nextConfig object and statements
+// that run inside its webpack() hook, plus what those statements take from the hook's
+// context argument (e.g. `webpack`). Each Vite setting that has a Next.js equivalent
+// is added to it before it is rendered.
+function createConfigBuilder(capabilities, optimizeCss) {
+    return {
+        capabilities,
+        optimizeCss,
+        imports: [],
+        options: createDefaultOptions(capabilities, optimizeCss),
+        webpack: [],
+        webpackContext: []
+    };
+}
+
+// next.config.ts where Next.js supports it (15+), otherwise next.config.mjs for ES module
+// packages and a CommonJS next.config.js for the rest
+export function getNextConfigFormat(targetDir, projectSetup) {
+    if (projectSetup.usesTypeScript && getNextCapabilities(targetDir, projectSetup).configTs) {
+        return { file: 'next.config.ts', format: 'ts' };
+    }
+
+    const packageJsonPath = path.join(targetDir, 'package.json');
+    const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {};
+    return packageJson.type === 'module'
+        ? { file: 'next.config.mjs', format: 'esm' }
+        : { file: 'next.config.js', format: 'cjs' };
 }
 
+// The options object including the webpack() hook built from the collected statements
+function getConfigOptions(builder) {
+    const options = { ...builder.options };
+
+    if (builder.webpack.length > 0) {
+        const params = builder.webpackContext.length > 0
+            ? `config, { ${[...new Set(builder.webpackContext)].join(', ')} }`
+            : 'config';
+        options.webpack = code(
+            `(${params}) => {\n${builder.webpack.map(statement => indentLines(statement, '    ')).join('\n')}\n    return config;\n  }`
+        );
+    }
+
+    return options;
+}
+
+function renderNextConfig(builder, format) {
+    const options = renderValue(getConfigOptions(builder));
+
+    if (format === 'cjs') {
+        const requires = builder.imports.map(line => line.replace(/^import (\w+) from (['"][^'"]+['"]);$/, 'const $1 = require($2);'));
+        return `${requires.length > 0 ? `${requires.join('\n')}\n\n` : ''}/** @type {import('next').NextConfig} */
+const nextConfig = ${options}
+
+module.exports = nextConfig;`;
+    }
+
+    if (format === 'ts') {
+        return `${['import type { NextConfig } from \'next\';', ...builder.imports].join('\n')}
+
+const nextConfig: NextConfig = ${options}
+
 export default nextConfig;`;
+    }
+
+    const imports = builder.imports.length > 0 ? `${builder.imports.join('\n')}\n\n` : '';
+
+    return `${imports}/** @type {import('next').NextConfig} */
+const nextConfig = ${options}
+
+export default nextConfig;`;
+}
+
+function getPropertyName(property) {
+    if (property.computed || !property.key) return null;
+    return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+}
+
+// Add the migrated options to the object an existing next.config exports. Options the
+// project already sets are left alone; the ones that carry migrated code are reported.
+async function mergeNextConfig(configPath, builder) {
+    const file = path.basename(configPath);
+    const source = await fs.readFile(configPath, 'utf8');
+
+    let configObject = null;
+    try {
+        configObject = findExportedObject(source, configPath);
+    } catch (error) {
+        logger.warning(`Could not parse ${file}: ${error.message}`);
+    }
+
+    const defaults = createDefaultOptions(builder.capabilities, builder.optimizeCss);
+    const migrated = Object.entries(getConfigOptions(builder))
+        .filter(([key, value]) => value !== undefined && JSON.stringify(value) !== JSON.stringify(defaults[key]));
+
+    if (!configObject) {
+        for (const [key] of migrated) {
+            logger.todo(`Add the migrated ${key} option to ${file} by hand`, { file });
+        }
+        return false;
+    }
+
+    const existing = configObject.properties.map(getPropertyName).filter(Boolean);
+    const additions = migrated.filter(([key]) => !existing.includes(key));
+
+    for (const [key] of migrated.filter(([key]) => existing.includes(key))) {
+        logger.todo(`${file} already sets ${key}, merge the options migrated from Vite into it by hand`, { file });
+    }
+
+    if (additions.length === 0) {
+        logger.info(`${file} already has every migrated option`);
+        return false;
+    }
+
+    // Insert after the last property, keeping its indentation and trailing comma style
+    const indent = ' '.repeat(configObject.properties[0]?.loc.start.column ?? 2);
+    const last = configObject.properties[configObject.properties.length - 1];
+    const rendered = additions.map(([key, value]) => value?.$method !== undefined
+        ? `\n${indent}${indentLines(value.$method, indent).trimStart()},`
+        : `\n${indent}${renderKey(key)}: ${indentLines(renderValue(value, '  '), indent.slice(2)).trimStart()},`).join('');
+
+    let updated;
+    if (!last) {
+        updated = `${source.slice(0, configObject.start + 1)}${rendered}\n${source.slice(configObject.end - 1)}`;
     } else {
-        // Default config (works for Tailwind, Chakra, and projects without CSS frameworks)
-        configContent = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  reactStrictMode: true,
-  swcMinify: true,
-  images: {
-    formats: ['image/avif', 'image/webp'],
-  },
-  experimental: {
-    optimizeCss: true,
-  },
+        const commaIndex = source.slice(last.end, configObject.end - 1).indexOf(',');
+        const insertAt = commaIndex >= 0 ? last.end + commaIndex + 1 : last.end;
+        updated = `${source.slice(0, insertAt)}${commaIndex >= 0 ? '' : ','}${rendered}${source.slice(insertAt)}`;
+    }
+
+    await fs.writeFile(configPath, updated);
+    logger.success(`Added ${additions.map(([key]) => key).join(', ')} to the existing ${file}`);
+    return true;
 }
 
-export default nextConfig;`;
+// Package aliases from vite.config that tsconfig paths can't express
+function addWebpackAliases(builder, targetDir, projectSetup) {
+    const { webpack } = resolveViteAliases(targetDir, projectSetup.viteConfig);
+    const aliases = Object.entries(webpack);
+
+    if (aliases.length === 0) {
+        return;
+    }
+
+    const entries = aliases.map(([find, replacement]) => `  ${renderKey(find)}: ${renderValue(replacement)},`);
+    builder.webpack.push(`config.resolve.alias = {\n  ...config.resolve.alias,\n${entries.join('\n')}\n};`);
+
+    for (const [find, replacement] of aliases) {
+        logger.success(`Added webpack alias ${find} → ${replacement}`);
+    }
+}
+
+// server.proxy from vite.config, which Next.js expresses as rewrites
+function addRewrites(builder, projectSetup) {
+    const { rewrites: proxyRewrites, unsupported } = resolveViteProxy(projectSetup.viteConfig);
+
+    // Next.js prefixes rewrites with basePath, Vite's proxy matched its paths whatever base was
+    const { basePath } = resolveViteBase(projectSetup.viteConfig);
+    const rewrites = basePath ? proxyRewrites.map(rewrite => ({ ...rewrite, basePath: false })) : proxyRewrites;
+
+    // A static export has no server to run rewrites on
+    if (rewrites.length > 0 && projectSetup.output === 'export') {
+        logger.todo(
+            `server.proxy routes (${rewrites.map(rewrite => rewrite.source).join(', ')}) are not rewritten in a static export, serve them from your host or call the APIs directly`,
+            { file: projectSetup.viteConfig.file }
+        );
+    } else if (rewrites.length > 0) {
+        builder.options.rewrites = method(`async rewrites() {
+  // Converted from server.proxy in ${projectSetup.viteConfig.file}. Unlike the Vite
+  // dev server proxy, rewrites also apply to \`next start\`.
+  return ${renderValue(rewrites, '  ')};
+}`);
+
+        for (const rewrite of rewrites) {
+            logger.success(`Added rewrite ${rewrite.source} → ${rewrite.destination}`);
+        }
+        if (basePath) {
+            logger.detail(`The rewrites have basePath: false, so they match without ${basePath} like the Vite proxy did`);
+        }
+    }
+
+    for (const { context, message } of unsupported) {
+        logger.todo(`Proxy ${context}: ${message}`, { file: projectSetup.viteConfig.file });
+    }
+}
+
+// Plugins from vite.config with a Next.js equivalent, see VITE_PLUGIN_MAPPINGS. The
+// package-json and dependencies steps apply the rest of each mapping.
+function addPluginMappings(builder, projectSetup) {
+    const { mapped, unmapped } = resolveVitePlugins(projectSetup.viteConfig);
+    const file = projectSetup.viteConfig?.file;
+
+    for (const entry of mapped) {
+        const { mapping, plugin, version } = entry;
+
+        Object.assign(builder.options, mapping.nextConfig?.options);
+        builder.webpack.push(...mapping.nextConfig?.webpack || []);
+        logger.success(`${entry.package} → ${mapping.replacement}`);
+
+        for (const todo of mapping.todo ? mapping.todo(plugin, version) : []) {
+            logger.todo(`${entry.package}: ${todo}`, { file });
+        }
+    }
+
+    for (const entry of unmapped) {
+        logger.todo(`Vite plugin ${describePlugin(entry)} has no known Next.js equivalent, migrate what it does by hand`, { file });
+    }
+}
+
+// css from vite.config: Sass options for sass-loader, CSS modules options for Next.js'
+// css-loader, which it only lets you change from the webpack hook
+function addCssOptions(builder, projectSetup) {
+    const { sassOptions, cssModules, unsupported } = resolveViteCssOptions(projectSetup.viteConfig);
+
+    if (Object.keys(sassOptions).length > 0) {
+        builder.options.sassOptions = sassOptions;
+        logger.success(`Added sassOptions (${Object.keys(sassOptions).join(', ')})`);
+    }
+
+    if (Object.keys(cssModules).length > 0) {
+        // Next.js names classes with getLocalIdent, which takes precedence over localIdentName
+        const dropLocalIdent = cssModules.localIdentName ? '\n      delete loader.options.modules.getLocalIdent;' : '';
+        builder.webpack.push(`config.module.rules
+  .find((rule) => Array.isArray(rule.oneOf))
+  .oneOf.filter((rule) => Array.isArray(rule.use))
+  .flatMap((rule) => rule.use)
+  .forEach((loader) => {
+    if (/[\\\\/]css-loader[\\\\/]/.test(loader.loader || '') && typeof loader.options?.modules === 'object') {
+      loader.options.modules = {
+        ...loader.options.modules,
+${Object.entries(cssModules).map(([key, value]) => `        ${key}: ${renderValue(value)},`).join('\n')}
+      };${dropLocalIdent}
+    }
+  });`);
+        logger.success(`Added css-loader modules options (${Object.keys(cssModules).join(', ')})`);
+    }
+
+    for (const { option, message } of unsupported) {
+        logger.warning(`${option} was not migrated: ${message}`);
+    }
+}
+
+// define from vite.config, replaced at build time by webpack's DefinePlugin
+function addDefines(builder, projectSetup) {
+    const { defines, unsupported } = resolveViteDefines(projectSetup.viteConfig);
+
+    if (defines.length > 0) {
+        const entries = defines.map(define =>
+            `  ${renderKey(define.key)}: ${define.expression ? define.code : renderValue(define.code)},`);
+        builder.webpack.push(`config.plugins.push(new webpack.DefinePlugin({\n${entries.join('\n')}\n}));`);
+        builder.webpackContext.push('webpack');
+
+        for (const define of defines) {
+            logger.success(`Added DefinePlugin replacement ${define.key}`);
+        }
+    }
+
+    for (const { key, message } of unsupported) {
+        logger.todo(`define ${key} could not be carried over because ${message}, add it to the DefinePlugin in next.config by hand`, {
+            file: projectSetup.viteConfig.file
+        });
+    }
+}
+
+// Route handlers and middleware need a server, which a static export doesn't have
+async function findServerOnlyFiles(targetDir, projectSetup) {
+    const appDirs = [...new Set(['app', 'src/app', projectSetup.customAppDir].filter(Boolean))];
+    const options = { cwd: targetDir, ignore: ['node_modules/**', '.git/**'] };
+
+    return [
+        ...await glob(`{${appDirs.join(',')}}/**/route.{js,jsx,ts,tsx}`, options),
+        ...await glob('{,src/}middleware.{js,ts}', options)
+    ].sort();
+}
+
+async function addOutput(builder, targetDir, projectSetup) {
+    const output = projectSetup.output || 'server';
+
+    if (output === 'standalone') {
+        builder.options.output = 'standalone';
+        logger.success('Set output to standalone');
+        return;
+    }
+    if (output !== 'export') {
+        return;
+    }
+
+    // Static hosts serve about/index.html for /about/ and can't optimize images on request
+    builder.options.output = 'export';
+    builder.options.images = { ...builder.options.images, unoptimized: true };
+    builder.options.trailingSlash = true;
+    logger.success('Set output to export with unoptimized images and trailing slashes');
+
+    for (const file of await findServerOnlyFiles(targetDir, projectSetup)) {
+        const feature = /middleware\.[jt]s$/.test(file) ? 'Middleware' : 'Route handlers other than a GET without request data';
+        logger.todo(`${file}: ${feature} can't run in a static export, move it to your host or drop --output export`, { file });
+    }
+}
+
+// base and build.outDir from vite.config. distDir is only set when the next-config step's
+// `distDir` setting asks for it, since it moves .next rather than the deployable output,
+// except for static exports, where distDir is the deployable output.
+async function addBasePath(builder, targetDir, projectSetup, settings) {
+    const file = projectSetup.viteConfig?.file;
+    const { basePath, assetPrefix, unsupported } = resolveViteBase(projectSetup.viteConfig);
+
+    if (unsupported) {
+        logger.todo(`Vite ${unsupported}, set basePath/assetPrefix in next.config by hand`, { file });
+    }
+    if (assetPrefix) {
+        builder.options.assetPrefix = assetPrefix;
+        logger.success(`Set assetPrefix to ${assetPrefix}`);
+    }
+    if (basePath) {
+        builder.options.basePath = basePath;
+        builder.options.env = { ...builder.options.env, NEXT_PUBLIC_BASE_PATH: basePath };
+        logger.success(`Set basePath to ${basePath}`);
+
+        for (const match of await findHardcodedBasePaths(targetDir, basePath)) {
+            logger.todo(
+                `${match.file}:${match.line}: ${basePath} is hardcoded, drop it from next/link hrefs and router calls, which add basePath themselves`,
+                match
+            );
+        }
+    }
+
+    const outDir = resolveViteOutDir(projectSetup.viteConfig);
+    const exportDir = projectSetup.output === 'export' && settings.distDir === undefined ? outDir || 'dist' : null;
+    const distDir = typeof settings.distDir === 'string' ? settings.distDir : exportDir || (settings.distDir && outDir);
+
+    if (distDir) {
+        builder.options.distDir = distDir;
+        logger.success(`Set distDir to ${distDir}`);
+    } else if (outDir) {
+        logger.info(`build.outDir (${outDir}) was not carried over, set the next-config step's distDir setting to use it`);
+    }
+}
+
+export async function createNextConfig(targetDir, projectSetup, settings = {}) {
+    logger.startStep('Creating Next.js configuration');
+
+    const capabilities = getNextCapabilities(targetDir, projectSetup);
+    const builder = createConfigBuilder(capabilities, projectSetup.optimizeCss);
+
+    // Create appropriate Next.js config based on CSS framework and other requirements
+    if (projectSetup.cssFramework === 'styled-components') {
+        // For styled-components, create a registry file
+        await createStyledComponentsRegistry(targetDir, projectSetup.usesTypeScript);
+        builder.options = { compiler: { styledComponents: true }, ...builder.options };
+    } else if (projectSetup.cssFramework === 'emotion') {
+        // For emotion, create a registry with its cache
+        await createEmotionRegistry(targetDir, projectSetup.usesTypeScript);
+    } else if (projectSetup.cssFramework === 'mui') {
+        // For MUI, create a theme file and the registry that applies it
+        await createMuiTheme(targetDir, projectSetup.usesTypeScript);
+        await createMuiRegistry(targetDir, projectSetup.usesTypeScript, capabilities);
+    } else if (projectSetup.cssFramework === 'chakra') {
+        await createChakraRegistry(targetDir, projectSetup.usesTypeScript);
     }
 
-    await fs.writeFile(nextConfigPath, configContent);
-    console.log(chalk.green('√ Created next.config.js'));
+    addWebpackAliases(builder, targetDir, projectSetup);
+    addRewrites(builder, projectSetup);
+    await addOutput(builder, targetDir, projectSetup);
+    addDefines(builder, projectSetup);
+    addPluginMappings(builder, projectSetup);
+    addCssOptions(builder, projectSetup);
+    await addBasePath(builder, targetDir, projectSetup, settings);
+
+    const existingConfig = NEXT_CONFIG_FILES.find(file => fs.existsSync(path.join(targetDir, file)));
+    if (existingConfig) {
+        await mergeNextConfig(path.join(targetDir, existingConfig), builder);
+    } else {
+        const { file, format } = getNextConfigFormat(targetDir, projectSetup);
+        await fs.writeFile(path.join(targetDir, file), renderNextConfig(builder, format));
+        logger.success(`Created ${file}`);
+    }
 
     await createGitIgnore(targetDir);
 
-    console.log(chalk.green('✓ Step 3 completed'));
+    logger.stepComplete();
     return true;
 }
 
@@ -109,7 +483,8 @@ async function createGitIgnore(targetDir) {
         '.next',
         'next-env.d.ts',
         '.vercel',
-        '.env*.local'
+        '.env*.local',
+        '.vite2next'
     ];
 
     const missingEntries = nextEntries.filter(entry => !gitignoreContent.includes(entry));
@@ -121,10 +496,25 @@ async function createGitIgnore(targetDir) {
 
     if (gitignoreUpdated) {
         await fs.writeFile(gitignorePath, gitignoreContent);
-        console.log(chalk.green('√ Updated .gitignore with Next.js entries'));
+        logger.success('Updated .gitignore with Next.js entries');
     }
 }
 
+// Props of the generated registry components
+function childrenProps(usesTypeScript) {
+    return usesTypeScript ? '{ children }: { children: React.ReactNode }' : '{ children }';
+}
+
+// The major version of a package the project depends on, or fallback without it
+function getDependencyMajor(targetDir, name, fallback) {
+    const packageJsonPath = path.join(targetDir, 'package.json');
+    const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {};
+    const version = packageJson.dependencies?.[name] || packageJson.devDependencies?.[name];
+    return version ? parseMajorVersion(version) || fallback : fallback;
+}
+
+// The registries are client components the server layout renders around the page; they
+// collect the styles rendered on the server and insert them into the HTML with useServerInsertedHTML
 async function createStyledComponentsRegistry(targetDir, usesTypeScript) {
     const ext = usesTypeScript ? 'tsx' : 'jsx';
     const libDir = path.join(targetDir, 'src', 'lib');
@@ -137,7 +527,8 @@ import React, { useState } from 'react';
 import { useServerInsertedHTML } from 'next/navigation';
 import { ServerStyleSheet, StyleSheetManager } from 'styled-components';
 
-export function useStyledComponentsRegistry() {
+export function StyledComponentsRegistry(${childrenProps(usesTypeScript)}) {
+  // Created once, on the first render
   const [styledComponentsStyleSheet] = useState(() => new ServerStyleSheet());
 
   useServerInsertedHTML(() => {
@@ -146,61 +537,148 @@ export function useStyledComponentsRegistry() {
     return <>{styles}</>;
   });
 
-  if (typeof window !== 'undefined') return { styles: null, StyleProvider: React.Fragment };
+  if (typeof window !== 'undefined') return <>{children}</>;
 
-  return {
-    styles: null,
-    StyleProvider: ({ children }) => (
-      <StyleSheetManager sheet={styledComponentsStyleSheet.instance}>
-        {children}
-      </StyleSheetManager>
-    ),
-  };
+  return (
+    <StyleSheetManager sheet={styledComponentsStyleSheet.instance}>
+      {children}
+    </StyleSheetManager>
+  );
 }`;
 
     await fs.writeFile(registryPath, registryContent);
-    console.log(chalk.green(`√ Created styled-components registry in src/lib/styled-components-registry.${ext}`));
+    logger.success(`Created styled-components registry in src/lib/styled-components-registry.${ext}`);
 }
 
-async function createEmotionCache(targetDir, usesTypeScript) {
+async function createEmotionRegistry(targetDir, usesTypeScript) {
     const ext = usesTypeScript ? 'tsx' : 'jsx';
     const libDir = path.join(targetDir, 'src', 'lib');
     await fs.ensureDir(libDir);
 
-    const cachePath = path.join(libDir, `emotion-cache.${ext}`);
-    const cacheContent = `'use client';
+    const registryPath = path.join(libDir, `emotion-registry.${ext}`);
+    const registryContent = `'use client';
 
-import { useState } from 'react';
+import React, { useState } from 'react';
 import createCache from '@emotion/cache';
+import { CacheProvider } from '@emotion/react';
 import { useServerInsertedHTML } from 'next/navigation';
 
-export const useEmotionCache = () => {
-  const [cache] = useState(() => {
+export function EmotionRegistry(${childrenProps(usesTypeScript)}) {
+  // Records the styles inserted while rendering, to flush them into the HTML
+  const [{ cache, flush }] = useState(() => {
     const cache = createCache({ key: 'css' });
     cache.compat = true;
-    return cache;
+    const prevInsert = cache.insert;
+    let inserted${usesTypeScript ? ': string[]' : ''} = [];
+    cache.insert = (...args${usesTypeScript ? ': Parameters<typeof prevInsert>' : ''}) => {
+      const serialized = args[1];
+      if (cache.inserted[serialized.name] === undefined) {
+        inserted.push(serialized.name);
+      }
+      return prevInsert(...args);
+    };
+    const flush = () => {
+      const prevInserted = inserted;
+      inserted = [];
+      return prevInserted;
+    };
+    return { cache, flush };
   });
 
   useServerInsertedHTML(() => {
-    const extractedStyles = cache.extract();
-    if (extractedStyles.length === 0) {
+    const names = flush();
+    if (names.length === 0) {
       return null;
     }
+    let styles = '';
+    for (const name of names) {
+      styles += cache.inserted[name];
+    }
     return (
       <style
-        data-emotion={cache.key}
+        key={cache.key}
+        data-emotion={\`\${cache.key} \${names.join(' ')}\`}
         dangerouslySetInnerHTML={{
-          __html: extractedStyles,
+          __html: styles,
         }}
       />
     );
   });
 
-  return cache;
-};`;
+  return <CacheProvider value={cache}>{children}</CacheProvider>;
+}`;
 
-    await fs.writeFile(cachePath, cacheContent);
-    console.log(chalk.green(`√ Created emotion cache in src/lib/emotion-cache.${ext}`));
+    await fs.writeFile(registryPath, registryContent);
+    logger.success(`Created emotion registry in src/lib/emotion-registry.${ext}`);
+}
+
+// @mui/material-nextjs' cache provider does what the emotion registry does, for MUI's cache
+async function createMuiRegistry(targetDir, usesTypeScript, capabilities) {
+    const ext = usesTypeScript ? 'tsx' : 'jsx';
+    const libDir = path.join(targetDir, 'src', 'lib');
+    await fs.ensureDir(libDir);
+
+    // @mui/material-nextjs 5 has no entry for Next.js 15
+    const entry = getDependencyMajor(targetDir, '@mui/material', 5) < 6 && capabilities.muiAppRouter === 'v15-appRouter'
+        ? 'v14-appRouter'
+        : capabilities.muiAppRouter;
+
+    const registryPath = path.join(libDir, `mui-registry.${ext}`);
+    const registryContent = `'use client';
+
+import React from 'react';
+import { AppRouterCacheProvider } from '@mui/material-nextjs/${entry}';
+import { ThemeProvider } from '@mui/material/styles';
+import CssBaseline from '@mui/material/CssBaseline';
+import { theme } from './mui-theme';
+
+export function MuiRegistry(${childrenProps(usesTypeScript)}) {
+  return (
+    <AppRouterCacheProvider>
+      <ThemeProvider theme={theme}>
+        <CssBaseline />
+        {children}
+      </ThemeProvider>
+    </AppRouterCacheProvider>
+  );
+}`;
+
+    await fs.writeFile(registryPath, registryContent);
+    logger.success(`Created MUI registry in src/lib/mui-registry.${ext}`);
+}
+
+// Chakra UI 2 collects its emotion styles with @chakra-ui/next-js, Chakra UI 3 does it itself
+async function createChakraRegistry(targetDir, usesTypeScript) {
+    const ext = usesTypeScript ? 'tsx' : 'jsx';
+    const libDir = path.join(targetDir, 'src', 'lib');
+    await fs.ensureDir(libDir);
+
+    const registryPath = path.join(libDir, `chakra-registry.${ext}`);
+    const registryContent = getDependencyMajor(targetDir, '@chakra-ui/react', 2) >= 3
+        ? `'use client';
+
+import React from 'react';
+import { ChakraProvider, defaultSystem } from '@chakra-ui/react';
+
+export function ChakraRegistry(${childrenProps(usesTypeScript)}) {
+  return <ChakraProvider value={defaultSystem}>{children}</ChakraProvider>;
+}`
+        : `'use client';
+
+import React from 'react';
+import { CacheProvider } from '@chakra-ui/next-js';
+import { ChakraProvider } from '@chakra-ui/react';
+
+export function ChakraRegistry(${childrenProps(usesTypeScript)}) {
+  return (
+    <CacheProvider>
+      <ChakraProvider>{children}</ChakraProvider>
+    </CacheProvider>
+  );
+}`;
+
+    await fs.writeFile(registryPath, registryContent);
+    logger.success(`Created Chakra UI registry in src/lib/chakra-registry.${ext}`);
 }
 
 async function createMuiTheme(targetDir, usesTypeScript) {
@@ -238,5 +716,5 @@ export const theme = createTheme({
 });`;
 
     await fs.writeFile(themePath, themeContent);
-    console.log(chalk.green(`√ Created MUI theme in src/lib/mui-theme.${ext}`));
+    logger.success(`Created MUI theme in src/lib/mui-theme.${ext}`);
 } 
\ No newline at end of file
@@ -0,0 +1,91 @@
+import path from 'path';
+import fs from './fileSystem.js';
+
+export const DEFAULT_NEXT_VERSION = '14.0.0';
+
+const NEXT_ENV_REFERENCES = '/// <reference types="next" />\n/// <reference types="next/image-types/global" />\n';
+
+// What each Next.js major expects from a migrated project: the React it is built for, the
+// minimum Node.js version, which config options still exist, the package optimizeCss
+// inlines critical CSS with, whether viewport settings have their own export (14+), the
+// @mui/material-nextjs entry for its App Router and what `next lint`, next.config.ts and
+// Turbopack mean for it.
+const NEXT_VERSIONS = {
+    13: {
+        react: '^18.2.0',
+        node: '>=16.14.0',
+        swcMinify: true,
+        criticalCss: { name: 'critters', version: '^0.0.20' },
+        configTs: false,
+        viewportExport: false,
+        muiAppRouter: 'v13-appRouter',
+        nextLint: true,
+        turbopackBuild: false,
+        nextEnv: `${NEXT_ENV_REFERENCES}\n// NOTE: This file should not be edited\n// see https://nextjs.org/docs/basic-features/typescript for more information.\n`
+    },
+    14: {
+        react: '^18.2.0',
+        node: '>=18.17.0',
+        swcMinify: true,
+        criticalCss: { name: 'critters', version: '^0.0.20' },
+        configTs: false,
+        viewportExport: true,
+        muiAppRouter: 'v14-appRouter',
+        nextLint: true,
+        turbopackBuild: false,
+        nextEnv: `${NEXT_ENV_REFERENCES}\n// NOTE: This file should not be edited\n// see https://nextjs.org/docs/basic-features/typescript for more information.\n`
+    },
+    15: {
+        react: '^19.0.0',
+        node: '>=18.18.0',
+        swcMinify: false,
+        criticalCss: { name: 'beasties', version: '^0.3.0' },
+        configTs: true,
+        viewportExport: true,
+        muiAppRouter: 'v15-appRouter',
+        nextLint: true,
+        turbopackBuild: false,
+        nextEnv: `${NEXT_ENV_REFERENCES}\n// NOTE: This file should not be edited\n// see https://nextjs.org/docs/app/api-reference/config/typescript for more information.\n`
+    },
+    16: {
+        react: '^19.2.0',
+        node: '>=20.9.0',
+        swcMinify: false,
+        criticalCss: { name: 'beasties', version: '^0.3.0' },
+        configTs: true,
+        viewportExport: true,
+        muiAppRouter: 'v15-appRouter',
+        nextLint: false,
+        turbopackBuild: true,
+        nextEnv: `${NEXT_ENV_REFERENCES}\n// NOTE: This file should not be edited\n// see https://nextjs.org/docs/app/api-reference/config/typescript for more information.\n`
+    }
+};
+
+const KNOWN_MAJORS = Object.keys(NEXT_VERSIONS).map(Number);
+
+export function parseMajorVersion(version) {
+    return parseInt(String(version).replace(/^\D*/, ''), 10);
+}
+
+// The Next.js version the migration targets: --next-version, else the one already in package.json
+export function getNextVersion(targetDir, projectSetup) {
+    if (projectSetup.nextVersion) {
+        return projectSetup.nextVersion;
+    }
+
+    const packageJsonPath = path.join(targetDir, 'package.json');
+    const installed = fs.existsSync(packageJsonPath)
+        ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).dependencies?.next
+        : null;
+    return installed || DEFAULT_NEXT_VERSION;
+}
+
+// Capabilities of the targeted major. Versions newer than the table, and tags such as
+// `latest`, use its latest entry, older versions its oldest.
+export function getNextCapabilities(targetDir, projectSetup) {
+    const latest = KNOWN_MAJORS[KNOWN_MAJORS.length - 1];
+    const major = parseMajorVersion(getNextVersion(targetDir, projectSetup));
+    const known = Number.isNaN(major) ? latest : Math.min(Math.max(major, KNOWN_MAJORS[0]), latest);
+
+    return { major: Number.isNaN(major) ? latest : major, ...NEXT_VERSIONS[known] };
+}
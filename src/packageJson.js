@@ -1,24 +1,60 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
 import path from 'path';
+import fs from './fileSystem.js';
+import { logger } from './logger.js';
+import { NEXT_CONFIG_FILES } from './nextConfig.js';
+import { getNextCapabilities } from './nextVersions.js';
+import { resolveVitePlugins } from './vitePlugins.js';
+
+function readNextConfig(targetDir) {
+    const configFile = NEXT_CONFIG_FILES.find(file => fs.existsSync(path.join(targetDir, file)));
+    return configFile ? fs.readFileSync(path.join(targetDir, configFile), 'utf8') : '';
+}
+
+function usesWebpackHook(targetDir) {
+    return /\bwebpack\s*[:(]/.test(readNextConfig(targetDir));
+}
+
+// next start only serves the default output; exports are static files and standalone
+// builds bring their own server
+function getStartScript(targetDir, projectSetup) {
+    if (projectSetup.output === 'export') {
+        const distDir = readNextConfig(targetDir).match(/\bdistDir:\s*['"]([^'"]+)['"]/)?.[1] || 'out';
+        return `npx serve@latest ${distDir.replace(/^\.\//, '')}`;
+    }
+    if (projectSetup.output === 'standalone') {
+        logger.todo('Copy public/ and .next/static/ into .next/standalone/ when deploying, next build leaves them out', {
+            file: 'package.json'
+        });
+        return 'node .next/standalone/server.js';
+    }
+    return 'next start';
+}
 
 export async function updatePackageJson(targetDir, projectSetup) {
-    console.log(chalk.blue('Step 9: Updating package.json...'));
+    logger.startStep('Updating package.json');
 
     const packageJsonPath = path.join(targetDir, 'package.json');
     const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
 
-    console.log(chalk.gray('Updating scripts for Next.js...'));
+    logger.detail('Updating scripts for Next.js...');
 
     if (!packageJson.scripts) {
         packageJson.scripts = {};
     }
 
+    const capabilities = getNextCapabilities(targetDir, projectSetup);
+
+    // Next.js 16 builds with Turbopack, which ignores the webpack() hook the migration may have written
+    const bundlerFlag = capabilities.turbopackBuild && usesWebpackHook(targetDir) ? ' --webpack' : '';
+    if (bundlerFlag) {
+        logger.info(`next.config has a webpack() hook, so dev and build keep using webpack (${bundlerFlag.trim()})`);
+    }
+
     // Update scripts for Next.js
-    packageJson.scripts.dev = 'next dev';
-    packageJson.scripts.build = 'next build';
-    packageJson.scripts.start = 'next start';
-    packageJson.scripts.lint = packageJson.scripts.lint || 'next lint';
+    packageJson.scripts.dev = `next dev${bundlerFlag}`;
+    packageJson.scripts.build = `next build${bundlerFlag}`;
+    packageJson.scripts.start = getStartScript(targetDir, projectSetup);
+    packageJson.scripts.lint = packageJson.scripts.lint || (capabilities.nextLint ? 'next lint' : 'eslint .');
 
     // Add browserslist config if it doesn't exist
     if (!packageJson.browserslist) {
@@ -29,16 +65,19 @@ export async function updatePackageJson(targetDir, projectSetup) {
         ];
     }
 
-    // Set or update the type field if using TypeScript
-    if (projectSetup.usesTypeScript) {
-        packageJson.type = "module";
+    // What the Vite plugins did at build time, e.g. @vitejs/plugin-legacy targets
+    for (const { mapping, plugin } of resolveVitePlugins(projectSetup.viteConfig).mapped) {
+        const change = mapping.packageJson?.(packageJson, plugin);
+        if (change) {
+            logger.success(`${change} (replaces ${mapping.packages[0]})`);
+        }
     }
 
     // Set correct engines field for Next.js
     if (!packageJson.engines) {
         packageJson.engines = {};
     }
-    packageJson.engines.node = ">=18.17.0";
+    packageJson.engines.node = capabilities.node;
 
     // Remove Vite-specific entries
     delete packageJson.scripts['dev:host'];
@@ -46,7 +85,7 @@ export async function updatePackageJson(targetDir, projectSetup) {
 
     await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
 
-    console.log(chalk.green('√ Updated package.json'));
-    console.log(chalk.green('✓ Step 9 completed'));
+    logger.success('Updated package.json');
+    logger.stepComplete();
     return true;
 } 
\ No newline at end of file
@@ -0,0 +1,151 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { readIndexHtml } from './indexHtml.js';
+import { readEntryFile } from './providers.js';
+import { readViteConfig } from './viteConfig.js';
+import { findWorkspaceRoot, getWorkspacePackages } from './workspace.js';
+
+export function isViteProject(targetDir) {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(targetDir, 'package.json'), 'utf8'));
+    return !!(packageJson.dependencies?.vite ||
+        packageJson.devDependencies?.vite ||
+        fs.existsSync(path.join(targetDir, 'vite.config.js')) ||
+        fs.existsSync(path.join(targetDir, 'vite.config.ts')));
+}
+
+// Detect the package manager from lock files and the packageManager field in dir
+function detectPackageManager(dir) {
+    let packageManager = 'npm';
+
+    // Detect package manager from lock files (in order of priority)
+    if (fs.existsSync(path.join(dir, 'yarn.lock'))) {
+        packageManager = 'yarn';
+    } else if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml')) || fs.existsSync(path.join(dir, 'pnpm-workspace.yaml'))) {
+        packageManager = 'pnpm';
+    } else if (fs.existsSync(path.join(dir, 'bun.lockb'))) {
+        packageManager = 'bun';
+    }
+
+    // Also check package.json for packageManager field (npm v7+)
+    const packageJsonPath = path.join(dir, 'package.json');
+    const pmField = fs.existsSync(packageJsonPath)
+        ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).packageManager
+        : null;
+    if (pmField) {
+        if (pmField.startsWith('yarn@')) {
+            packageManager = 'yarn';
+        } else if (pmField.startsWith('pnpm@')) {
+            packageManager = 'pnpm';
+        } else if (pmField.startsWith('bun@')) {
+            packageManager = 'bun';
+        } else if (pmField.startsWith('npm@')) {
+            packageManager = 'npm';
+        }
+    }
+
+    return packageManager;
+}
+
+// The workspace targetDir belongs to or is the root of, with every package in it
+// and whether it is a Vite app. Null when targetDir is not part of a workspace.
+export async function detectWorkspace(targetDir) {
+    const resolvedDir = path.resolve(targetDir);
+    const workspace = findWorkspaceRoot(resolvedDir);
+    if (!workspace) {
+        return null;
+    }
+
+    const packages = await getWorkspacePackages(workspace.root, workspace.patterns);
+
+    return {
+        root: workspace.root,
+        packageManager: detectPackageManager(workspace.root),
+        isRoot: workspace.root === resolvedDir,
+        packages: packages.map(workspacePackage => ({
+            ...workspacePackage,
+            isViteApp: fs.existsSync(path.join(workspacePackage.dir, 'package.json')) && isViteProject(workspacePackage.dir)
+        }))
+    };
+}
+
+export async function detectProjectSetup(targetDir) {
+    const packageJsonPath = path.join(targetDir, 'package.json');
+    const setup = {
+        useTailwind: false,
+        usesTypeScript: false,
+        usesReactRouter: false,
+        usesVitest: false,
+        cssFramework: 'none',
+        packageManager: 'npm'
+    };
+
+    // Check for TypeScript
+    setup.usesTypeScript = fs.existsSync(path.join(targetDir, 'tsconfig.json'));
+
+    // vite.config, index.html and main are read up front because the cleanup step deletes them
+    setup.viteConfig = readViteConfig(targetDir);
+    setup.indexHtml = readIndexHtml(targetDir);
+    setup.entry = readEntryFile(targetDir, setup.indexHtml);
+
+    if (fs.existsSync(packageJsonPath)) {
+        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+
+        setup.packageManager = detectPackageManager(targetDir);
+
+        // A workspace member installs through, and takes its package manager from, the workspace root
+        const workspace = findWorkspaceRoot(targetDir);
+        if (workspace && workspace.root !== path.resolve(targetDir)) {
+            setup.packageManager = detectPackageManager(workspace.root);
+            setup.workspace = {
+                root: workspace.root,
+                packagePath: path.relative(workspace.root, path.resolve(targetDir)).split(path.sep).join('/'),
+                packageName: packageJson.name || null
+            };
+        }
+
+        // Check for React Router
+        setup.usesReactRouter = !!packageJson.dependencies?.['react-router-dom'] ||
+            !!packageJson.dependencies?.['react-router'];
+
+        // Vitest, which keeps running on Vite after the migration
+        setup.usesVitest = !!packageJson.devDependencies?.vitest || !!packageJson.dependencies?.vitest;
+
+        // Detect CSS frameworks
+        if (packageJson.dependencies?.tailwindcss || packageJson.devDependencies?.tailwindcss) {
+            setup.useTailwind = true;
+            setup.cssFramework = 'tailwind';
+        } else if (packageJson.dependencies?.['styled-components']) {
+            setup.cssFramework = 'styled-components';
+        } else if (packageJson.dependencies?.['@mui/material']) {
+            // MUI and Chakra UI are built on emotion, so they come before its own packages
+            setup.cssFramework = 'mui';
+        } else if (packageJson.dependencies?.['@chakra-ui/react']) {
+            setup.cssFramework = 'chakra';
+        } else if (packageJson.dependencies?.['@emotion/react'] || packageJson.dependencies?.['@emotion/styled']) {
+            setup.cssFramework = 'emotion';
+        }
+    }
+
+    // Check for Tailwind config files if not found in dependencies
+    if (!setup.useTailwind) {
+        const tailwindConfigPath = path.join(targetDir, 'tailwind.config.js');
+        const tailwindConfigTsPath = path.join(targetDir, 'tailwind.config.ts');
+        if (fs.existsSync(tailwindConfigPath) || fs.existsSync(tailwindConfigTsPath)) {
+            setup.useTailwind = true;
+            setup.cssFramework = 'tailwind';
+        }
+
+        if (!setup.useTailwind) {
+            const postcssConfigPath = path.join(targetDir, 'postcss.config.js');
+            if (fs.existsSync(postcssConfigPath)) {
+                const content = fs.readFileSync(postcssConfigPath, 'utf8');
+                if (content.includes('tailwindcss')) {
+                    setup.useTailwind = true;
+                    setup.cssFramework = 'tailwind';
+                }
+            }
+        }
+    }
+
+    return setup;
+}
@@ -0,0 +1,446 @@
+import { parse } from '@babel/parser';
+import path from 'path';
+import fs from './fileSystem.js';
+import { logger } from './logger.js';
+
+// Where Vite apps usually render, when index.html doesn't name the entry
+const ENTRY_FILES = ['src/main.tsx', 'src/main.jsx', 'src/main.ts', 'src/main.js', 'main.tsx', 'main.jsx'];
+
+const ROUTER_MODULES = ['react-router', 'react-router-dom'];
+
+// Calls that create a store, which like `new QueryClient()` must not be shared between requests
+const STORE_FACTORIES = ['configureStore', 'createStore', 'legacy_createStore', 'makeStore'];
+
+// Props that take the instance a provider holds its state in
+const INSTANCE_PROPS = ['client', 'store'];
+
+const STYLESHEET = /\.(css|scss|sass|less|styl)$/;
+
+const AST_METADATA = ['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments'];
+
+function findEntryFile(targetDir, indexHtml) {
+    if (indexHtml?.entry && fs.existsSync(path.join(targetDir, indexHtml.entry))) {
+        return indexHtml.entry;
+    }
+    return ENTRY_FILES.find(file => fs.existsSync(path.join(targetDir, file))) || null;
+}
+
+function forEachChild(node, callback) {
+    for (const [key, child] of Object.entries(node)) {
+        if (AST_METADATA.includes(key)) continue;
+        for (const item of Array.isArray(child) ? child : [child]) {
+            if (item && typeof item.type === 'string') callback(item);
+        }
+    }
+}
+
+// Every name a node refers to, JSX element names included
+function collectIdentifiers(node, names = new Set()) {
+    if (node.type === 'Identifier' || node.type === 'JSXIdentifier') {
+        names.add(node.name);
+    }
+    forEachChild(node, child => collectIdentifiers(child, names));
+    return names;
+}
+
+// The element passed to createRoot().render(), ReactDOM.render() or hydrateRoot()
+function findRenderedElement(node) {
+    if (node.type === 'CallExpression') {
+        const callee = node.callee.type === 'MemberExpression' ? node.callee.property.name : node.callee.name;
+        const element = callee === 'hydrateRoot'
+            ? node.arguments[1]
+            : ['render', 'hydrate'].includes(callee) ? node.arguments[0] : null;
+        if (['JSXElement', 'JSXFragment'].includes(element?.type)) return element;
+    }
+
+    let found = null;
+    forEachChild(node, child => {
+        found = found || findRenderedElement(child);
+    });
+    return found;
+}
+
+// Source of a node with the indentation it had in the file taken off its later lines
+function getSource(node, source) {
+    const [first, ...rest] = source.slice(node.start, node.end).split('\n');
+    const column = node.loc.start.column;
+    return [first, ...rest.map(line => line.slice(Math.min(column, line.match(/^\s*/)[0].length)))].join('\n');
+}
+
+function getElementName(name) {
+    if (name.type === 'JSXMemberExpression') return `${getElementName(name.object)}.${name.property.name}`;
+    if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+    return name.name;
+}
+
+function getChildren(element) {
+    return element.children.filter(child => !(child.type === 'JSXText' && !child.value.trim()));
+}
+
+function containsElement(node, predicate) {
+    if (node.type === 'JSXElement' && predicate(node)) return true;
+    return ['JSXElement', 'JSXFragment'].includes(node.type) && node.children.some(child => containsElement(child, predicate));
+}
+
+// The elements rendered around the App component, outermost first, with what each renders next to it
+function unwrapApp(element, isApp) {
+    const wrappers = [];
+    let current = element;
+
+    while (!(current.type === 'JSXElement' && isApp(current))) {
+        const children = getChildren(current);
+        const index = children.findIndex(child => containsElement(child, isApp));
+        if (index === -1) return null;
+
+        wrappers.push({ element: current, before: children.slice(0, index), after: children.slice(index + 1) });
+        current = children[index];
+    }
+
+    return { wrappers, app: current };
+}
+
+function readImport(statement) {
+    const specifiers = statement.specifiers.map(specifier => {
+        const local = specifier.local.name;
+        if (specifier.type === 'ImportDefaultSpecifier') return { local, code: local, isDefault: true };
+        if (specifier.type === 'ImportNamespaceSpecifier') return { local, code: `* as ${local}`, isNamespace: true };
+
+        const imported = specifier.imported.name ?? specifier.imported.value;
+        const code = imported === local ? local : `${imported} as ${local}`;
+        return { local, imported, code: specifier.importKind === 'type' ? `type ${code}` : code };
+    });
+
+    return { source: statement.source.value, typeOnly: statement.importKind === 'type', specifiers, line: statement.loc.start.line };
+}
+
+function getDeclaredNames(statement) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (!declaration) return [];
+    if (declaration.type === 'VariableDeclaration') {
+        return declaration.declarations.flatMap(declarator => [...collectIdentifiers(declarator.id)]);
+    }
+    return declaration.id ? [declaration.id.name] : [];
+}
+
+// `const queryClient = new QueryClient()` and `const store = configureStore()` create one
+// instance for the module, which on the server is every request
+function getInstance(statement, source) {
+    if (statement.type !== 'VariableDeclaration' || statement.declarations.length !== 1) return null;
+
+    const [{ id, init }] = statement.declarations;
+    const factory = init?.type === 'CallExpression' && init.callee.type === 'Identifier' ? init.callee.name : null;
+    if (id.type !== 'Identifier' || !(init?.type === 'NewExpression' || STORE_FACTORIES.includes(factory))) return null;
+
+    return {
+        name: id.name,
+        type: id.typeAnnotation ? getSource(id.typeAnnotation.typeAnnotation, source) : null,
+        init: getSource(init, source)
+    };
+}
+
+function renderWrapper(element, source) {
+    if (element.type === 'JSXFragment') {
+        return { open: '<>', close: '</>' };
+    }
+    const name = getElementName(element.openingElement.name);
+    const attributes = element.openingElement.attributes.map(attribute => ` ${getSource(attribute, source)}`).join('');
+    return { open: `<${name}${attributes}>`, close: `</${name}>` };
+}
+
+// Read the Vite entry (src/main.tsx) before the cleanup step deletes it. Returns { file,
+// wrappers, router, strictMode, imports, declarations, app, sharedInstances, unsupported }:
+// the providers main renders the App component in as JSX for app/providers, the React
+// Router router around it for the page, the imports and top-level declarations the
+// providers use, and the statements neither can carry over. Null without an entry file.
+export function readEntryFile(targetDir, indexHtml) {
+    const file = findEntryFile(targetDir, indexHtml);
+    if (!file) {
+        return null;
+    }
+
+    const source = fs.readFileSync(path.join(targetDir, file), 'utf8');
+    let ast;
+    try {
+        ast = parse(source, {
+            sourceType: 'module',
+            plugins: file.endsWith('.tsx') ? ['typescript', 'jsx'] : file.endsWith('.ts') ? ['typescript'] : ['jsx']
+        });
+    } catch (error) {
+        return { file, error: error.message };
+    }
+
+    const statements = ast.program.body;
+    const imports = statements.filter(statement => statement.type === 'ImportDeclaration').map(readImport);
+    const importedNames = new Map(imports.flatMap(entry => entry.specifiers.map(specifier => [specifier.local, { ...entry, specifier }])));
+
+    const element = findRenderedElement(ast.program);
+    if (!element) {
+        return { file, error: 'no createRoot().render() call found' };
+    }
+
+    // The App component is the element main imports from the project rather than a package
+    const isLocalComponent = name => {
+        const binding = importedNames.get(name);
+        return !!binding && (/^[.~#/]|^@\//.test(binding.source) || name === 'App');
+    };
+    const isLocalElement = node => isLocalComponent(getElementName(node.openingElement.name));
+    // Local providers like <AuthProvider> wrap it, so it is the innermost one
+    const unwrapped = unwrapApp(element, node =>
+        isLocalElement(node) && !getChildren(node).some(child => containsElement(child, isLocalElement)));
+    if (!unwrapped) {
+        return { file, error: `could not find the App component in what ${file} renders` };
+    }
+
+    const isFrom = (name, modules) => modules.includes(importedNames.get(name.split('.')[0])?.source);
+    const topLevelNames = new Set([...importedNames.keys(), ...statements.flatMap(getDeclaredNames)]);
+    const unsupported = [];
+    const wrappers = [];
+    let router = null;
+    let strictMode = false;
+
+    for (const { element: wrapper, before, after } of unwrapped.wrappers) {
+        const name = wrapper.type === 'JSXElement' ? getElementName(wrapper.openingElement.name) : null;
+        const line = wrapper.loc.start.line;
+
+        // next.config turns on reactStrictMode
+        if (name && /^(\w+\.)?StrictMode$/.test(name) && isFrom(name, ['react'])) {
+            strictMode = true;
+        } else if (name && !router && /^\w*Router$/.test(name) && isFrom(name, ROUTER_MODULES)) {
+            const attributes = wrapper.openingElement.attributes;
+            router = {
+                name,
+                module: importedNames.get(name).source,
+                ...renderWrapper(wrapper, source),
+                line,
+                // Props like basename={BASE} need what main declared or imported for them
+                usesBindings: attributes.some(attribute => {
+                    const value = attribute.type === 'JSXSpreadAttribute' ? attribute.argument : attribute.value;
+                    return !!value && [...collectIdentifiers(value)].some(identifier => topLevelNames.has(identifier));
+                })
+            };
+            unsupported.push(...[...before, ...after].map(child => ({
+                code: getSource(child, source).split('\n')[0],
+                line: child.loc.start.line
+            })));
+        } else {
+            wrappers.push({
+                name,
+                ...renderWrapper(wrapper, source),
+                before: before.map(child => getSource(child, source)),
+                after: after.map(child => getSource(child, source)),
+                line,
+                insideRouter: router?.name || null,
+                identifiers: new Set([
+                    ...(wrapper.type === 'JSXElement' ? collectIdentifiers(wrapper.openingElement) : []),
+                    ...[...before, ...after].flatMap(child => [...collectIdentifiers(child)])
+                ]),
+                instances: wrapper.type === 'JSXElement'
+                    ? wrapper.openingElement.attributes
+                        .filter(attribute => INSTANCE_PROPS.includes(attribute.name?.name) && attribute.value?.expression?.type === 'Identifier')
+                        .map(attribute => ({ prop: attribute.name.name, name: attribute.value.expression.name }))
+                    : []
+            });
+        }
+    }
+
+    // The top-level declarations the providers use, and the ones those use in turn
+    const declared = statements
+        .filter(statement => getDeclaredNames(statement).length > 0)
+        .map(statement => ({ statement, names: getDeclaredNames(statement), identifiers: collectIdentifiers(statement) }));
+    const used = new Set(wrappers.flatMap(wrapper => [...wrapper.identifiers]));
+    let added = true;
+    while (added) {
+        added = false;
+        for (const declaration of declared) {
+            if (!declaration.carried && declaration.names.some(name => used.has(name))) {
+                declaration.carried = true;
+                declaration.identifiers.forEach(name => used.add(name));
+                added = true;
+            }
+        }
+    }
+
+    // Instances move into the Providers component, as does whatever is created from them
+    const perRequest = new Set();
+    const declarations = declared.filter(declaration => declaration.carried).map(({ statement, names, identifiers }) => {
+        const instance = getInstance(statement, source);
+        const dependsOnInstance = [...identifiers].some(name => perRequest.has(name));
+        if (instance || dependsOnInstance) {
+            names.forEach(name => perRequest.add(name));
+        }
+        return { code: getSource(statement, source), instance, perRequest: !!instance || dependsOnInstance };
+    });
+
+    // Statements that render or set up the root belong to main and go with it; anything else
+    // main did, e.g. registering a service worker, has no place to go
+    const renderStatement = statements.find(statement => statement.start <= element.start && element.end <= statement.end);
+    const rendered = collectIdentifiers(renderStatement);
+    const rendersDirectly = renderStatement.type === 'ExpressionStatement' && renderStatement.expression.arguments?.includes(element);
+    unsupported.push(...statements
+        .filter(statement => statement.type !== 'ImportDeclaration' && (statement !== renderStatement || !rendersDirectly) &&
+            !declared.some(declaration => declaration.statement === statement &&
+                (declaration.carried || declaration.names.some(name => rendered.has(name)))))
+        .map(statement => ({ code: source.slice(statement.start, statement.end).split('\n')[0], line: statement.loc.start.line })));
+
+    return {
+        file,
+        wrappers: wrappers.map(({ identifiers, instances, ...wrapper }) => wrapper),
+        router,
+        strictMode,
+        imports: imports
+            .filter(entry => entry.specifiers.length === 0 || entry.specifiers.some(specifier => used.has(specifier.local)))
+            .map(entry => ({ ...entry, specifiers: entry.specifiers.filter(specifier => used.has(specifier.local)) })),
+        declarations,
+        app: {
+            name: getElementName(unwrapped.app.openingElement.name),
+            hasProps: unwrapped.app.openingElement.attributes.length > 0,
+            line: unwrapped.app.loc.start.line
+        },
+        sharedInstances: wrappers.flatMap(wrapper => wrapper.instances
+            .filter(instance => importedNames.has(instance.name))
+            .map(instance => ({ ...instance, wrapper: wrapper.name, module: importedNames.get(instance.name).source, line: wrapper.line }))),
+        unsupported: unsupported.sort((a, b) => a.line - b.line)
+    };
+}
+
+function indent(source, prefix) {
+    return source.split('\n').map(line => line ? prefix + line : line).join('\n');
+}
+
+// Imports keep pointing at the same files from the app directory
+function rewriteImportSource(importSource, targetDir, entryFile, appDir) {
+    if (!importSource.startsWith('.')) {
+        return importSource;
+    }
+    const relative = path.relative(appDir, path.join(targetDir, path.dirname(entryFile), importSource)).replace(/\\/g, '/');
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function renderImport({ source, typeOnly, specifiers }) {
+    if (specifiers.length === 0) {
+        return `import '${source}';`;
+    }
+    const defaults = specifiers.filter(specifier => specifier.isDefault || specifier.isNamespace).map(specifier => specifier.code);
+    const named = specifiers.filter(specifier => !specifier.isDefault && !specifier.isNamespace).map(specifier => specifier.code);
+    const clause = [...defaults, ...(named.length > 0 ? [`{ ${named.join(', ')} }`] : [])].join(', ');
+    return `import ${typeOnly ? 'type ' : ''}${clause} from '${source}';`;
+}
+
+// The instances main created once become state of the component, created on its first render
+function renderDeclaration(declaration) {
+    if (!declaration.instance) {
+        return declaration.code;
+    }
+    const { name, type, init } = declaration.instance;
+    return `const [${name}] = useState${type ? `<${type}>` : ''}(() => ${init});`;
+}
+
+function renderProviders(entry, imports, usesTypeScript) {
+    const moduleDeclarations = entry.declarations.filter(declaration => !declaration.perRequest).map(renderDeclaration);
+    const componentDeclarations = entry.declarations.filter(declaration => declaration.perRequest).map(renderDeclaration);
+
+    let tree = '{children}';
+    for (const wrapper of [...entry.wrappers].reverse()) {
+        tree = [wrapper.open, ...[...wrapper.before, tree, ...wrapper.after].map(child => indent(child, '  ')), wrapper.close].join('\n');
+    }
+    if (entry.wrappers.length === 0) {
+        tree = `<>${tree}</>`;
+    }
+
+    const props = usesTypeScript
+        ? `{
+  children,
+}: {
+  children: React.ReactNode;
+}`
+        : '{ children }';
+
+    return `'use client';
+
+${imports.map(renderImport).join('\n')}
+
+${moduleDeclarations.map(code => `${code}\n\n`).join('')}export function Providers(${props}) {
+${componentDeclarations.map(code => `${indent(code, '  ')}\n`).join('')}${componentDeclarations.length > 0 ? '\n' : ''}  return (
+${indent(tree, '    ')}
+  );
+}
+`;
+}
+
+function reportEntryFile(targetDir, entry, providersFile) {
+    if (entry.strictMode) {
+        logger.detail('React.StrictMode is left to reactStrictMode in next.config');
+    }
+    for (const wrapper of entry.wrappers.filter(wrapper => wrapper.insideRouter)) {
+        logger.todo(`${entry.file}:${wrapper.line}: <${wrapper.name}> was inside <${wrapper.insideRouter}> and now wraps it, move it into the page if it uses React Router hooks`, {
+            file: path.relative(targetDir, providersFile)
+        });
+    }
+    for (const instance of entry.sharedInstances) {
+        logger.todo(`${entry.file}:${instance.line}: the ${instance.prop} of <${instance.wrapper}> is created once in ${instance.module} and shared by every request on the server, create it in Providers instead`, {
+            file: path.relative(targetDir, providersFile)
+        });
+    }
+    if (entry.app.hasProps) {
+        logger.todo(`${entry.file}:${entry.app.line}: pass the props <${entry.app.name}> got in ${entry.file} from the generated page`, {
+            file: entry.file,
+            line: entry.app.line
+        });
+    }
+    for (const { code, line } of entry.unsupported) {
+        logger.todo(`${entry.file}:${line}: ${code} was not carried over, move it to a client component by hand`, {
+            file: entry.file,
+            line
+        });
+    }
+}
+
+// Write app/providers from what main rendered the App component in, for the root layout to
+// render around the page. Returns the layout's import, or null when there is nothing to provide.
+export async function createProviders(targetDir, projectSetup, { appDir, globalCss }) {
+    const entry = projectSetup.entry;
+    if (!entry) {
+        return null;
+    }
+    if (entry.error) {
+        logger.warning(`Could not read the providers from ${entry.file}: ${entry.error}`);
+        logger.todo(`Move the providers ${entry.file} rendered the App component in to a client component by hand`, { file: entry.file });
+        return null;
+    }
+
+    const extension = projectSetup.usesTypeScript ? 'tsx' : 'jsx';
+    const providersFile = path.join(appDir, `providers.${extension}`);
+    reportEntryFile(targetDir, entry, providersFile);
+
+    // The layout imports the global stylesheet itself
+    const imports = entry.imports
+        .filter(({ source, specifiers }) => !(STYLESHEET.test(source) && specifiers.length === 0 && globalCss &&
+            path.join(path.dirname(entry.file), source) === path.normalize(globalCss)))
+        .map(entryImport => ({ ...entryImport, source: rewriteImportSource(entryImport.source, targetDir, entry.file, appDir) }));
+
+    if (entry.wrappers.length === 0 && imports.length === 0) {
+        return null;
+    }
+    if (fs.existsSync(providersFile)) {
+        logger.info(`${path.relative(targetDir, providersFile)} already exists, not moving the providers from ${entry.file}`);
+        return null;
+    }
+
+    if (entry.declarations.some(declaration => declaration.instance)) {
+        const react = imports.find(entryImport => entryImport.source === 'react' && !entryImport.typeOnly);
+        if (react && !react.specifiers.some(specifier => specifier.local === 'useState')) {
+            react.specifiers = [...react.specifiers, { local: 'useState', code: 'useState' }];
+        } else if (!react) {
+            imports.unshift({ source: 'react', specifiers: [{ local: 'useState', code: 'useState' }] });
+        }
+    }
+
+    await fs.writeFile(providersFile, renderProviders(entry, imports, projectSetup.usesTypeScript));
+    const names = entry.wrappers.map(wrapper => wrapper.name ? `<${wrapper.name}>` : 'a fragment');
+    logger.success(`Created ${path.relative(targetDir, providersFile)} with ${names.length > 0 ? names.join(', ') : 'the imports'} from ${entry.file}`);
+    for (const declaration of entry.declarations.filter(declaration => declaration.instance)) {
+        logger.detail(`${declaration.instance.name} is created for each request with useState`);
+    }
+
+    return { imports: [`import { Providers } from './providers';`] };
+}
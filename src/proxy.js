@@ -0,0 +1,130 @@
+import { parseExpression } from '@babel/parser';
+import { isExpression } from './viteConfig.js';
+
+// Proxy options that rewrites cover; everything else is reported
+const MAPPED_OPTIONS = ['target', 'changeOrigin', 'rewrite'];
+
+// The literal prefix of a /^\/api/ style regex, or null when it uses anything but plain characters
+function getLiteralPrefix(regex) {
+    if (regex.flags || !regex.pattern.startsWith('^')) {
+        return null;
+    }
+
+    const literal = regex.pattern.slice(1);
+    if (!/^(?:\\.|[^.*+?()[\]{}|^$\\])*$/.test(literal)) {
+        return null;
+    }
+
+    return literal.replace(/\\(.)/g, '$1');
+}
+
+// (path) => path.replace(/^\/api/, '/v1') → { prefix: '/api', replacement: '/v1' }
+function analyzeRewrite(source) {
+    let node;
+    try {
+        node = parseExpression(source, { plugins: ['typescript'] });
+    } catch (error) {
+        return null;
+    }
+
+    if (!['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type) ||
+        node.params.length !== 1 || node.params[0].type !== 'Identifier') {
+        return null;
+    }
+
+    let body = node.body;
+    if (body.type === 'BlockStatement') {
+        body = body.body.length === 1 && body.body[0].type === 'ReturnStatement' ? body.body[0].argument : null;
+    }
+
+    const isReplaceCall = body?.type === 'CallExpression' &&
+        body.callee.type === 'MemberExpression' &&
+        body.callee.object.type === 'Identifier' &&
+        body.callee.object.name === node.params[0].name &&
+        body.callee.property.name === 'replace' &&
+        body.arguments.length === 2;
+    if (!isReplaceCall) {
+        return null;
+    }
+
+    const [pattern, replacement] = body.arguments;
+    const replacementValue = replacement.type === 'StringLiteral'
+        ? replacement.value
+        : replacement.type === 'TemplateLiteral' && replacement.expressions.length === 0
+            ? replacement.quasis[0].value.cooked
+            : null;
+
+    if (replacementValue === null) {
+        return null;
+    }
+
+    const prefix = pattern.type === 'RegExpLiteral'
+        ? getLiteralPrefix(pattern)
+        : pattern.type === 'StringLiteral' ? pattern.value : null;
+
+    return prefix === null ? null : { prefix, replacement: replacementValue };
+}
+
+function withPathParameter(destination) {
+    return `${destination.replace(/\/$/, '')}/:path*`;
+}
+
+// Turn server.proxy from vite.config into Next.js rewrites, in the same order Vite matches
+// them. Options a rewrite can't express are returned as unsupported.
+export function resolveViteProxy(viteConfig) {
+    const proxy = viteConfig?.config?.server?.proxy;
+    const rewrites = [];
+    const unsupported = [];
+
+    if (!proxy) {
+        return { rewrites, unsupported };
+    }
+
+    if (isExpression(proxy)) {
+        unsupported.push({ context: 'server.proxy', message: 'it is computed when the config runs' });
+        return { rewrites, unsupported };
+    }
+
+    for (const [context, rule] of Object.entries(proxy)) {
+        const options = typeof rule === 'string' ? { target: rule } : rule;
+
+        if (context.startsWith('^')) {
+            unsupported.push({ context, message: 'regular expression contexts have no rewrite equivalent' });
+            continue;
+        }
+        if (!options || isExpression(options) || typeof options.target !== 'string') {
+            unsupported.push({ context, message: 'its target is computed when the config runs' });
+            continue;
+        }
+        if (/^wss?:/.test(options.target)) {
+            unsupported.push({ context, message: 'WebSocket targets cannot be proxied with rewrites' });
+            continue;
+        }
+
+        const target = options.target.replace(/\/$/, '');
+        let destination = `${target}${context}`;
+
+        if (options.rewrite !== undefined) {
+            const rewrite = isExpression(options.rewrite) ? analyzeRewrite(options.rewrite.$expression) : null;
+
+            if (!rewrite || !context.startsWith(rewrite.prefix)) {
+                unsupported.push({ context, message: 'its rewrite function could not be analyzed, adjust the destination by hand' });
+            } else {
+                destination = `${target}${rewrite.replacement}${context.slice(rewrite.prefix.length)}`;
+            }
+        }
+
+        rewrites.push({ source: withPathParameter(context), destination: withPathParameter(destination) });
+
+        for (const option of Object.keys(options)) {
+            if (MAPPED_OPTIONS.includes(option) || (option === 'ws' && !options.ws)) continue;
+
+            const message = option === 'ws'
+                ? 'ws: WebSocket upgrades are not proxied by rewrites'
+                : `${option} has no rewrite equivalent`;
+            unsupported.push({ context, message });
+        }
+    }
+
+    return { rewrites, unsupported };
+}
@@ -0,0 +1,30 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const packageJson = fs.readJSONSync(new URL('../package.json', import.meta.url));
+
+// Machine-readable summary of a migration run, written with --report
+export function createReport(result) {
+    return {
+        tool: { name: packageJson.name, version: packageJson.version },
+        generatedAt: new Date().toISOString(),
+        targetDir: result.targetDir,
+        status: result.status,
+        dryRun: result.dryRun,
+        durationMs: result.durationMs,
+        snapshotId: result.snapshotId,
+        projectSetup: result.projectSetup,
+        steps: result.steps,
+        files: result.files,
+        warnings: result.warnings,
+        manualActions: result.todos,
+        error: result.error || null
+    };
+}
+
+export async function writeReport(reportPath, result) {
+    const absolutePath = path.resolve(process.cwd(), reportPath);
+    await fs.ensureDir(path.dirname(absolutePath));
+    await fs.writeFile(absolutePath, JSON.stringify(createReport(result), null, 2));
+    return absolutePath;
+}
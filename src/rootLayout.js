@@ -1,13 +1,23 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
-import * as glob from 'glob';
 import path from 'path';
-
-async function findGlobalCss(targetDir) {
-  let cssFiles = await glob.glob('**/*.css', {
+import { resolveViteDefines } from './define.js';
+import fs, { glob } from './fileSystem.js';
+import { migrateFonts } from './fonts.js';
+import { logger } from './logger.js';
+import { code, renderValue } from './nextConfig.js';
+import { getNextCapabilities } from './nextVersions.js';
+import { createProviders } from './providers.js';
+import { resolveVitePlugins } from './vitePlugins.js';
+
+export async function findCssFiles(targetDir) {
+  const cssFiles = await glob('**/*.css', {
     cwd: targetDir,
     ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'app/**']
   });
+  return cssFiles.sort();
+}
+
+export async function findGlobalCss(targetDir) {
+  const cssFiles = await findCssFiles(targetDir);
 
   // Look for common global CSS files
   const globalCssFiles = cssFiles.filter(file => {
@@ -27,8 +37,8 @@ async function findGlobalCss(targetDir) {
   return null;
 }
 
-export async function createRootLayout(targetDir, projectSetup) {
-  console.log(chalk.blue('Step 5: Creating root layout...'));
+export async function createRootLayout(targetDir, projectSetup, settings = {}) {
+  logger.startStep('Creating root layout');
 
   // Create src/app directory if it doesn't exist
   const srcDir = path.join(targetDir, 'src');
@@ -47,12 +57,14 @@ export async function createRootLayout(targetDir, projectSetup) {
   // Check if files already exist
   const layoutFile = path.join(appDir, `layout.${extension}`);
   if (fs.existsSync(layoutFile)) {
-    console.log(chalk.yellow('i Root layout file already exists, skipping creation'));
+    logger.info('Root layout file already exists, skipping creation');
     return true;
   }
 
-  // Find global CSS file
-  const globalCssPath = await findGlobalCss(targetDir);
+  // Find global CSS file, unless one (or none, with false) was chosen in the interactive review
+  const globalCssPath = settings.globalCss !== undefined
+    ? settings.globalCss
+    : await findGlobalCss(targetDir);
 
   // Create proper relative path for CSS imports if a global CSS file is found
   let cssImportPath = null;
@@ -71,247 +83,283 @@ export async function createRootLayout(targetDir, projectSetup) {
     }
   }
 
-  // Create layout file based on CSS framework
-  let layoutContent;
-
-  if (projectSetup.cssFramework === 'tailwind') {
-    layoutContent = createTailwindLayout(cssImportPath, usesTypeScript);
-  } else if (projectSetup.cssFramework === 'styled-components') {
-    layoutContent = createStyledComponentsLayout(usesTypeScript);
-  } else if (projectSetup.cssFramework === 'emotion') {
-    layoutContent = createEmotionLayout(usesTypeScript);
-  } else if (projectSetup.cssFramework === 'mui') {
-    layoutContent = createMuiLayout(usesTypeScript);
-  } else if (projectSetup.cssFramework === 'chakra') {
-    layoutContent = createChakraLayout(usesTypeScript);
-  } else {
-    // Default with just global CSS if found
-    layoutContent = createBasicLayout(cssImportPath, usesTypeScript);
+  const capabilities = getNextCapabilities(targetDir, projectSetup);
+  const parts = getLayoutParts(projectSetup.cssFramework, cssImportPath);
+  const head = getHeadExports(projectSetup, capabilities);
+  const fonts = await migrateFonts(targetDir, projectSetup, { appDir, globalCss: globalCssPath });
+  const providers = await createProviders(targetDir, projectSetup, { appDir, globalCss: globalCssPath });
+
+  // The providers main rendered the App component in wrap every page
+  if (providers) {
+    parts.imports = [...parts.imports, ...providers.imports];
+    parts.body = parts.body.replace('{children}', '<Providers>{children}</Providers>');
   }
 
-  await fs.writeFile(layoutFile, layoutContent);
-  console.log(chalk.green(`√ Created root layout: src/app/layout.${extension}`));
+  reportIndexHtml(projectSetup.indexHtml, head);
+
+  await fs.writeFile(layoutFile, renderLayout(parts, head, fonts, usesTypeScript));
+  logger.success(`Created root layout: src/app/layout.${extension}`);
 
   // If using TypeScript, create project-specific type declarations
   if (usesTypeScript) {
-    await createTypeDeclarations(targetDir);
+    await createTypeDeclarations(targetDir, projectSetup);
   }
 
-  console.log(chalk.green('✓ Step 5 completed'));
+  logger.stepComplete();
   return true;
 }
 
-function createBasicLayout(cssImportPath, usesTypeScript) {
-  const styleImport = cssImportPath ? `import '${cssImportPath}';` : '';
-  const typeDef = usesTypeScript ?
-    `\nexport type Metadata = {
-    title: string;
-    description: string;
-  };
-
-  export const metadata: Metadata = {
-    title: 'Next.js App',
-    description: 'Created with vite2next',
-  };
-  ` : '';
+// Used when there is no index.html to take the metadata from
+const DEFAULT_METADATA = {
+  title: 'Next.js App',
+  description: 'Created with vite2next',
+};
+
+// The registry component nextConfig.js creates in src/lib for each CSS-in-JS framework
+const CSS_IN_JS_REGISTRIES = {
+  'styled-components': { name: 'StyledComponentsRegistry', file: 'styled-components-registry' },
+  emotion: { name: 'EmotionRegistry', file: 'emotion-registry' },
+  mui: { name: 'MuiRegistry', file: 'mui-registry' },
+  chakra: { name: 'ChakraRegistry', file: 'chakra-registry' }
+};
+
+// Each CSS framework's root layout as parts: the imports it needs and what wraps the page inside <body>
+function getLayoutParts(cssFramework, cssImportPath) {
+  const styleImports = cssImportPath ? [`import '${cssImportPath}';`] : [];
+
+  if (cssFramework === 'tailwind') {
+    return {
+      imports: cssImportPath ? styleImports : [`import './globals.css';`],
+      bodyAttributes: ' className="min-h-screen bg-background"',
+      body: '{children}'
+    };
+  }
 
-  return `${styleImport}
+  // CSS-in-JS frameworks need a client component to collect the styles rendered on the server,
+  // the layout itself stays a server component that can export metadata
+  const registry = CSS_IN_JS_REGISTRIES[cssFramework];
+  if (registry) {
+    return {
+      imports: [...styleImports, `import { ${registry.name} } from '../lib/${registry.file}';`],
+      body: `<${registry.name}>\n  <div id="root">{children}</div>\n</${registry.name}>`
+    };
+  }
 
-${typeDef}export default function RootLayout({
-  children,
-}: {
-  children: React.ReactNode;
-}) {
-  return (
-    <html lang="en">
-      <body>${cssImportPath ? '' : '\n        <div className="app-container">'}{children}${cssImportPath ? '' : '\n        </div>'}
-      </body>
-    </html>
-  );
-}`;
+  // Default with just global CSS if found
+  return {
+    imports: styleImports,
+    body: cssImportPath ? '{children}' : '<div className="app-container">{children}</div>'
+  };
 }
 
-function createTailwindLayout(cssImportPath, usesTypeScript) {
-  const styleImport = cssImportPath ? `import '${cssImportPath}';` : `import './globals.css';`;
-  const typeDef = usesTypeScript ?
-    `\nexport type Metadata = {
-    title: string;
-    description: string;
-  };
+const ENV_PLACEHOLDER = /%(VITE_\w+|MODE)%/g;
 
-  export const metadata: Metadata = {
-    title: 'Next.js App',
-    description: 'Created with vite2next',
-  };
-  ` : '';
+// Vite replaces %VITE_*% and %MODE% in index.html; in the layout they read process.env
+function toTemplateLiteral(text) {
+  const template = text
+    .replace(/[`\\]|\$\{/g, match => `\\${match}`)
+    .replace(ENV_PLACEHOLDER, (match, name) =>
+      `\${process.env.${name === 'MODE' ? 'NODE_ENV' : name.replace(/^VITE_/, 'NEXT_PUBLIC_')}}`);
+  return `\`${template}\``;
+}
 
-  return `${styleImport}
+function hasEnvPlaceholder(text) {
+  return new RegExp(ENV_PLACEHOLDER.source).test(text);
+}
 
-${typeDef}export default function RootLayout({
-  children,
-}: {
-  children: React.ReactNode;
-}) {
-  return (
-    <html lang="en">
-      <body className="min-h-screen bg-background">
-        {children}
-      </body>
-    </html>
-  );
-}`;
+function replaceEnvPlaceholders(value) {
+  if (typeof value === 'string' && hasEnvPlaceholder(value)) {
+    return code(toTemplateLiteral(value));
+  }
+  if (Array.isArray(value)) {
+    return value.map(replaceEnvPlaceholders);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, replaceEnvPlaceholders(entry)]));
+  }
+  return value;
 }
 
-function createStyledComponentsLayout(usesTypeScript) {
-  const typeDef = usesTypeScript ?
-    `\nexport type Metadata = {
-    title: string;
-    description: string;
-  };
+// The metadata and viewport exports and <html lang> from index.html. Before Next.js 14
+// the viewport settings were part of metadata.
+function getHeadExports(projectSetup, capabilities) {
+  const indexHtml = projectSetup.indexHtml;
+  if (!indexHtml || indexHtml.error) {
+    return { lang: 'en', metadata: DEFAULT_METADATA, viewport: {}, scripts: [], noscripts: [] };
+  }
 
-  export const metadata: Metadata = {
-    title: 'Next.js App',
-    description: 'Created with vite2next',
-  };
-  ` : '';
+  let { metadata, viewport } = indexHtml;
+  if (!capabilities.viewportExport && Object.keys(viewport).length > 0) {
+    const { themeColor, colorScheme, ...settings } = viewport;
+    metadata = {
+      ...metadata,
+      viewport: Object.keys(settings).length > 0 ? settings : undefined,
+      themeColor,
+      colorScheme
+    };
+    viewport = {};
+  }
 
-  return `'use client';
+  return {
+    lang: indexHtml.lang || 'en',
+    metadata: replaceEnvPlaceholders(metadata),
+    viewport: replaceEnvPlaceholders(viewport),
+    scripts: indexHtml.scripts,
+    noscripts: indexHtml.noscripts
+  };
+}
 
-import { useServerInsertedHTML } from 'next/navigation';
-import { useStyledComponentsRegistry } from '../lib/styled-components-registry';
+function reportIndexHtml(indexHtml, head) {
+  if (!indexHtml) {
+    return;
+  }
+  if (indexHtml.error) {
+    logger.warning(`Could not parse ${indexHtml.file}: ${indexHtml.error}`);
+    return;
+  }
 
-${typeDef}export default function RootLayout({
-  children,
-}: {
-  children: React.ReactNode;
-}) {
-  const styledComponentsRegistry = useStyledComponentsRegistry();
+  const fields = Object.entries({ ...head.metadata, ...head.viewport })
+    .filter(([, value]) => value !== undefined)
+    .map(([key]) => key);
+  if (fields.length > 0) {
+    logger.success(`Carried over ${fields.join(', ')} from ${indexHtml.file}`);
+  }
+  if (indexHtml.lang) {
+    logger.detail(`<html lang="${indexHtml.lang}">`);
+  }
+  if (head.scripts.length > 0) {
+    logger.success(`Moved ${head.scripts.length} script(s) from ${indexHtml.file} to next/script`);
+    for (const script of head.scripts) {
+      logger.detail(`${script.src || `Inline script (line ${script.line})`} → ${script.strategy}`);
+    }
+  }
+  if (head.noscripts.length > 0) {
+    logger.success(`Kept ${head.noscripts.length} <noscript> block(s) from ${indexHtml.file}`);
+  }
 
-  return (
-    <html lang="en">
-      <body>
-        {styledComponentsRegistry.styles}
-        <div id="root">{children}</div>
-      </body>
-    </html>
-  );
-}`;
+  for (const { element, line } of indexHtml.unsupported) {
+    logger.todo(`${indexHtml.file}:${line}: ${element} has no metadata or next/script equivalent, add it to the root layout by hand`, {
+      file: indexHtml.file,
+      line
+    });
+  }
 }
 
-function createEmotionLayout(usesTypeScript) {
-  const typeDef = usesTypeScript ?
-    `\nexport type Metadata = {
-    title: string;
-    description: string;
-  };
+function indent(source, prefix) {
+  return source.split('\n').map(line => line ? prefix + line : line).join('\n');
+}
 
-  export const metadata: Metadata = {
-    title: 'Next.js App',
-    description: 'Created with vite2next',
-  };
-  ` : '';
+function renderJsxAttribute(name, value) {
+  if (value === '' && name === 'noModule') {
+    return name;
+  }
+  if (hasEnvPlaceholder(value)) {
+    return `${name}={${toTemplateLiteral(value)}}`;
+  }
+  return value.includes('"') ? `${name}={${JSON.stringify(value)}}` : `${name}="${value}"`;
+}
 
-  return `'use client';
+// Strip the indentation inline scripts had in index.html
+function dedent(source) {
+  const lines = source.replace(/^\s*\n|\s+$/g, '').split('\n');
+  const width = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+  return lines.map(line => line.slice(width)).join('\n');
+}
 
-import { CacheProvider } from '@emotion/react';
-import { useEmotionCache } from '../lib/emotion-cache';
+// next/script needs an id to keep track of inline scripts
+function renderScript(script, inlineIndex) {
+  const attributes = { ...script.attributes };
+  if (script.content !== null && !attributes.id) {
+    attributes.id = `index-html-script-${inlineIndex}`;
+  }
 
-${typeDef}export default function RootLayout({
-  children,
-}: {
-  children: React.ReactNode;
-}) {
-  const cache = useEmotionCache();
+  const props = [
+    script.src && renderJsxAttribute('src', script.src),
+    ...Object.entries(attributes).map(([name, value]) => renderJsxAttribute(name, value)),
+    `strategy="${script.strategy}"`
+  ].filter(Boolean).join(' ');
 
-  return (
-    <html lang="en">
-      <body>
-        <CacheProvider value={cache}>
-          <div id="root">{children}</div>
-        </CacheProvider>
-      </body>
-    </html>
-  );
-}`;
+  return script.content === null
+    ? `<Script ${props} />`
+    : `<Script ${props}>\n  {${toTemplateLiteral(`\n${indent(dedent(script.content), '    ')}\n  `)}}\n</Script>`;
 }
 
-function createMuiLayout(usesTypeScript) {
-  const typeDef = usesTypeScript ?
-    `\nexport type Metadata = {
-    title: string;
-    description: string;
-  };
-
-  export const metadata: Metadata = {
-    title: 'Next.js App',
-    description: 'Created with vite2next',
-  };
-  ` : '';
+function renderLayout(parts, head, fonts, usesTypeScript) {
+  const { metadata, viewport } = head;
+  const hasMetadata = Object.keys(metadata).length > 0;
+  const hasViewport = Object.keys(viewport).length > 0;
+  const types = [hasMetadata && 'Metadata', hasViewport && 'Viewport'].filter(Boolean);
 
-  return `'use client';
+  const imports = [...parts.imports, ...fonts.imports];
+  if (head.scripts.length > 0) {
+    imports.push(`import Script from 'next/script';`);
+  }
+  if (usesTypeScript && types.length > 0) {
+    imports.push(`import type { ${types.join(', ')} } from 'next';`);
+  }
 
-import { ThemeProvider } from '@mui/material/styles';
-import CssBaseline from '@mui/material/CssBaseline';
-import { theme } from '../lib/mui-theme';
+  const exports = [...fonts.declarations];
+  if (hasMetadata) {
+    exports.push(`export const metadata${usesTypeScript ? ': Metadata' : ''} = ${renderValue(metadata)};`);
+  }
+  if (hasViewport) {
+    exports.push(`export const viewport${usesTypeScript ? ': Viewport' : ''} = ${renderValue(viewport)};`);
+  }
 
-${typeDef}export default function RootLayout({
+  // <noscript> blocks keep their HTML as is, scripts load after the page content
+  const body = [
+    ...head.noscripts.map(noscript => `<noscript dangerouslySetInnerHTML={{ __html: ${toTemplateLiteral(noscript.html)} }} />`),
+    parts.body,
+    ...head.scripts.map((script, index) =>
+      renderScript(script, head.scripts.slice(0, index + 1).filter(entry => entry.content !== null).length))
+  ].join('\n');
+
+  // The font variables are set on <html> for the stylesheets and Tailwind to use
+  const className = fonts.variables.length > 0
+    ? ` className={\`${fonts.variables.map(name => `\${${name}.variable}`).join(' ')}\`}`
+    : '';
+
+  const props = usesTypeScript
+    ? `{
   children,
 }: {
   children: React.ReactNode;
-}) {
+}`
+    : '{ children }';
+
+  return `${imports.length > 0 ? `${imports.join('\n')}\n\n` : ''}${exports.map(line => `${line}\n\n`).join('')}export default function RootLayout(${props}) {
   return (
-    <html lang="en">
-      <body>
-        <ThemeProvider theme={theme}>
-          <CssBaseline />
-          <div id="root">{children}</div>
-        </ThemeProvider>
+    <html lang="${head.lang}"${className}>
+      <body${parts.bodyAttributes || ''}>
+${indent(body, '        ')}
       </body>
     </html>
   );
 }`;
 }
 
-function createChakraLayout(usesTypeScript) {
-  const typeDef = usesTypeScript ?
-    `\nexport type Metadata = {
-    title: string;
-    description: string;
-  };
-
-  export const metadata: Metadata = {
-    title: 'Next.js App',
-    description: 'Created with vite2next',
-  };
-  ` : '';
-
-  return `'use client';
+// Globals that vite.config's define replaces at build time, e.g. __APP_VERSION__
+function createDefineDeclarations(projectSetup, existingContent) {
+  const { defines } = resolveViteDefines(projectSetup.viteConfig);
 
-import { ChakraProvider } from '@chakra-ui/react';
+  return defines
+    .filter(define => define.globalName && !existingContent.includes(`declare const ${define.globalName}:`))
+    .map(define => `declare const ${define.globalName}: ${define.type};`);
+}
 
-${typeDef}export default function RootLayout({
-  children,
-}: {
-  children: React.ReactNode;
-}) {
-  return (
-    <html lang="en">
-      <body>
-        <ChakraProvider>
-          <div id="root">{children}</div>
-        </ChakraProvider>
-      </body>
-    </html>
-  );
-}`;
+// Module declarations the Vite plugins' client types used to provide, e.g. *.svg?react
+function createPluginDeclarations(projectSetup, existingContent) {
+  return resolveVitePlugins(projectSetup.viteConfig).mapped
+    .map(({ mapping }) => mapping.declarations)
+    .filter(declarations => declarations && !existingContent.includes(declarations));
 }
 
-async function createTypeDeclarations(targetDir) {
+async function createTypeDeclarations(targetDir, projectSetup) {
   try {
     // Check if src directory exists
     const srcDir = path.join(targetDir, 'src');
     if (!fs.existsSync(srcDir)) {
-      console.log(chalk.yellow('i No src directory found, skipping type declarations'));
+      logger.info('No src directory found, skipping type declarations');
       return;
     }
 
@@ -386,9 +434,21 @@ declare module '*.module.sass' {
 }`;
 
       await fs.writeFile(globalDtsPath, globalDtsContent);
-      console.log(chalk.green('√ Created global type declarations'));
+      logger.success('Created global type declarations');
+    }
+
+    const pluginDeclarations = createPluginDeclarations(projectSetup, await fs.readFile(globalDtsPath, 'utf8'));
+    if (pluginDeclarations.length > 0) {
+      await fs.appendFile(globalDtsPath, `\n\n${pluginDeclarations.join('\n\n')}`);
+      logger.success('Added Vite plugin type declarations to src/types/global.d.ts');
+    }
+
+    const declarations = createDefineDeclarations(projectSetup, await fs.readFile(globalDtsPath, 'utf8'));
+    if (declarations.length > 0) {
+      await fs.appendFile(globalDtsPath, `\n\n// Replaced at build time, see the DefinePlugin in next.config\n${declarations.join('\n')}`);
+      logger.success(`Declared ${declarations.length} define constant(s) in src/types/global.d.ts`);
     }
   } catch (error) {
-    console.warn(chalk.yellow('! Error creating type declarations: '), error.message);
+    logger.warning(`Error creating type declarations: ${error.message}`);
   }
 } 
\ No newline at end of file
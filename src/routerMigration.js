@@ -1,7 +1,7 @@
+import { parse } from '@babel/parser';
 import chalk from 'chalk';
-import fs from 'fs-extra';
-import * as glob from 'glob';
 import path from 'path';
+import fs, { glob } from './fileSystem.js';
 import { logger } from './logger.js';
 
 export async function migrateReactRouter(targetDir, projectSetup) {
@@ -17,21 +17,64 @@ export async function migrateReactRouter(targetDir, projectSetup) {
   logger.detail('Searching for route definitions...');
 
   // Look for common React Router setup files
-  const routerFiles = await glob.glob('**/{routes,router,Router,Routes,App}.{jsx,tsx,js,ts}', {
+  const routerFiles = await glob('**/{routes,router,Router,Routes,App}.{jsx,tsx,js,ts}', {
     cwd: targetDir,
     ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'app/**']
   });
 
   if (routerFiles.length === 0) {
     logger.warning('Could not find React Router configuration files');
-    logger.detail('You will need to manually set up route mapping');
+    logger.todo('Set up the route mapping manually');
     logger.stepComplete();
     return true;
   }
 
-  // Create middleware.js in the app directory to handle React Router URL patterns
+  if (projectSetup.output === 'export') {
+    // A static export has no server to run middleware on
+    logger.warning('Not creating middleware, which output: \'export\' does not support');
+  } else {
+    await createMiddleware(targetDir, projectSetup);
+  }
+
+  // Create a client file to explain how to use the router compatibility
+  const docsDir = path.join(targetDir, 'docs');
+  await fs.ensureDir(docsDir);
+
+  const migrationGuidePath = path.join(docsDir, 'react-router-migration.md');
+  const migrationGuideContent = `# React Router to Next.js Migration Guide
+
+This project has been migrated from Vite to Next.js, and we've detected React Router usage.
+Here's how to gradually migrate from React Router to Next.js routing:
+
+## Option: Migrate to Next.js App Router
+
+The recommended approach is to refactor your code to use Next.js App Router:
+
+1. Create page components in the \`app\` directory following the Next.js file-based routing pattern
+2. Replace \`useNavigate()\` with \`router.push()\` from \`next/navigation\`
+3. Replace \`useLocation()\` with \`usePathname()\` and \`useSearchParams()\` from \`next/navigation\`
+4. Replace \`<Link>\` components with Next.js's \`<Link>\` from \`next/link\`
+
+## Migration steps:
+
+1. Identify all files using React Router hooks and components
+2. Replace them one by one with Next.js equivalents
+3. Convert route definitions to Next.js's file-based routing system
+
+For more detailed information, see the [Next.js migration guide](https://nextjs.org/docs/app/building-your-application/upgrading/from-react-router).
+`;
+
+  await fs.writeFile(migrationGuidePath, migrationGuideContent);
+  logger.success('Created react-router-migration.md guide');
+
+  logger.stepComplete();
+  return true;
+}
+
+// Create middleware.js in the project root to handle React Router URL patterns
+async function createMiddleware(targetDir, projectSetup) {
   logger.detail('Creating Next.js middleware for route compatibility...');
-  
+
   const extension = projectSetup.usesTypeScript ? 'ts' : 'js';
   const middlewarePath = path.join(targetDir, `middleware.${extension}`);
   
@@ -58,38 +101,97 @@ export const config = {
 
   await fs.writeFile(middlewarePath, middlewareContent);
   logger.success(`Created middleware.${extension} for route handling`);
+}
 
-  // Create a client file to explain how to use the router compatibility
-  const docsDir = path.join(targetDir, 'docs');
-  await fs.ensureDir(docsDir);
-
-  const migrationGuidePath = path.join(docsDir, 'react-router-migration.md');
-  const migrationGuideContent = `# React Router to Next.js Migration Guide
+function joinRoutePath(parent, routePath) {
+  const joined = routePath.startsWith('/') ? routePath : `${parent}/${routePath}`;
+  return `/${joined.split('/').filter(Boolean).join('/')}`;
+}
 
-This project has been migrated from Vite to Next.js, and we've detected React Router usage.
-Here's how to gradually migrate from React Router to Next.js routing:
+function getRoutePath(node) {
+  if (node.type === 'JSXElement') {
+    const name = node.openingElement.name;
+    if (name.type !== 'JSXIdentifier' || name.name !== 'Route') return null;
 
-## Option: Migrate to Next.js App Router
+    const attributes = Object.fromEntries(node.openingElement.attributes
+      .filter(attribute => attribute.type === 'JSXAttribute')
+      .map(attribute => [attribute.name.name, attribute.value]));
+    const value = attributes.path?.type === 'JSXExpressionContainer' ? attributes.path.expression : attributes.path;
 
-The recommended approach is to refactor your code to use Next.js App Router:
+    if (value?.type === 'StringLiteral') return value.value;
+    return 'index' in attributes ? '' : null;
+  }
 
-1. Create page components in the \`app\` directory following the Next.js file-based routing pattern
-2. Replace \`useNavigate()\` with \`router.push()\` from \`next/navigation\`
-3. Replace \`useLocation()\` with \`usePathname()\` and \`useSearchParams()\` from \`next/navigation\`
-4. Replace \`<Link>\` components with Next.js's \`<Link>\` from \`next/link\`
+  if (node.type === 'ObjectExpression') {
+    const properties = Object.fromEntries(node.properties
+      .filter(property => property.type === 'ObjectProperty' && !property.computed && property.key.type === 'Identifier')
+      .map(property => [property.key.name, property.value]));
 
-## Migration steps:
+    if (properties.path?.type === 'StringLiteral') return properties.path.value;
+    return properties.index?.type === 'BooleanLiteral' && properties.index.value ? '' : null;
+  }
 
-1. Identify all files using React Router hooks and components
-2. Replace them one by one with Next.js equivalents
-3. Convert route definitions to Next.js's file-based routing system
+  return null;
+}
 
-For more detailed information, see the [Next.js migration guide](https://nextjs.org/docs/app/building-your-application/upgrading/from-react-router).
-`;
+// Paths declared with <Route path> or route objects ({ path, children }) in a file,
+// with nested paths joined to their parents
+function collectRoutePaths(ast) {
+  const paths = [];
+  const visit = (node, parent) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    const routePath = getRoutePath(node);
+    const scope = routePath === null ? parent : joinRoutePath(parent, routePath);
+    if (routePath !== null) {
+      paths.push({ path: scope, line: node.loc.start.line });
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      if (['loc', 'start', 'end', 'extra'].includes(key)) continue;
+      for (const item of Array.isArray(child) ? child : [child]) {
+        if (item && typeof item === 'object') visit(item, scope);
+      }
+    }
+  };
+
+  visit(ast.program, '');
+  return paths;
+}
 
-  await fs.writeFile(migrationGuidePath, migrationGuideContent);
-  logger.success('Created react-router-migration.md guide');
+// Every route the React Router setup declares. Paths with parameters or splats can't be
+// listed without knowing their values, so they are returned as `dynamic`.
+export async function findRouterPaths(targetDir) {
+  const files = await glob('**/*.{jsx,tsx,js,ts}', {
+    cwd: targetDir,
+    ignore: ['node_modules/**', '.git/**', 'dist/**', '.next/**', 'app/**', 'src/app/**', '**/*.d.ts', '**/*.config.*']
+  });
+  const paths = new Set();
+  const dynamic = [];
+
+  for (const file of files.sort()) {
+    const content = await fs.readFile(path.join(targetDir, file), 'utf8');
+    if (!/from\s+['"]react-router(-dom)?['"]/.test(content)) continue;
+
+    let ast;
+    try {
+      ast = parse(content, {
+        sourceType: 'module',
+        plugins: file.endsWith('.ts') ? ['typescript'] : file.endsWith('.tsx') ? ['typescript', 'jsx'] : ['jsx']
+      });
+    } catch (error) {
+      logger.warning(`Could not parse ${file}: ${error.message}`);
+      continue;
+    }
+
+    for (const route of collectRoutePaths(ast)) {
+      if (/[:*?]/.test(route.path)) {
+        dynamic.push({ ...route, file });
+      } else {
+        paths.add(route.path);
+      }
+    }
+  }
 
-  logger.stepComplete();
-  return true;
-} 
\ No newline at end of file
+  return { paths: [...paths], dynamic };
+}
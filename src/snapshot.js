@@ -0,0 +1,144 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Snapshots live inside the migrated project so a completed run can be undone later
+export const SNAPSHOT_ROOT = path.join('.vite2next', 'backups');
+
+function writeManifest(snapshot) {
+    fs.writeFileSync(snapshot.manifestPath, JSON.stringify(snapshot.manifest, null, 2));
+}
+
+// workspaceRoot lets files a workspace member's install rewrites at the root be backed up as well
+export function createSnapshot(targetDir, workspaceRoot) {
+    const id = new Date().toISOString().replace(/[:.]/g, '-');
+    const dir = path.join(targetDir, SNAPSHOT_ROOT, id);
+    fs.ensureDirSync(path.join(dir, 'files'));
+
+    const snapshot = {
+        targetDir,
+        workspaceRoot,
+        dir,
+        manifestPath: path.join(dir, 'manifest.json'),
+        manifest: {
+            id,
+            createdAt: new Date().toISOString(),
+            status: 'in-progress',
+            files: [],
+            directories: []
+        }
+    };
+
+    writeManifest(snapshot);
+    return snapshot;
+}
+
+// Back up a file before a step touches it for the first time
+export function saveOriginal(snapshot, filePath, content) {
+    const relativePath = path.relative(snapshot.targetDir, filePath);
+    if (relativePath.startsWith('.vite2next')) {
+        return;
+    }
+    if (snapshot.manifest.files.some(entry => entry.path === relativePath)) {
+        return;
+    }
+
+    // Outside the project only workspace root files are backed up, e.g. the lock file a member's install rewrites
+    let backup = path.join('files', relativePath);
+    if (relativePath.startsWith('..')) {
+        const rootPath = snapshot.workspaceRoot ? path.relative(snapshot.workspaceRoot, filePath) : '..';
+        if (rootPath.startsWith('..')) {
+            return;
+        }
+        backup = path.join('workspace', rootPath);
+    }
+
+    if (content !== null) {
+        const backupPath = path.join(snapshot.dir, backup);
+        fs.ensureDirSync(path.dirname(backupPath));
+        fs.writeFileSync(backupPath, content);
+    }
+
+    snapshot.manifest.files.push({ path: relativePath, backup, existed: content !== null });
+    writeManifest(snapshot);
+}
+
+export function saveCreatedDirectory(snapshot, dirPath) {
+    const relativePath = path.relative(snapshot.targetDir, dirPath);
+    if (!relativePath || relativePath.startsWith('..') || snapshot.manifest.directories.includes(relativePath)) {
+        return;
+    }
+
+    snapshot.manifest.directories.push(relativePath);
+    writeManifest(snapshot);
+}
+
+export function setSnapshotStatus(snapshot, status) {
+    snapshot.manifest.status = status;
+    snapshot.manifest.updatedAt = new Date().toISOString();
+    writeManifest(snapshot);
+}
+
+export async function restoreSnapshot(snapshot) {
+    const { targetDir, dir, manifest } = snapshot;
+    let restored = 0;
+
+    for (const entry of [...manifest.files].reverse()) {
+        const filePath = path.join(targetDir, entry.path);
+
+        if (entry.existed) {
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.copy(path.join(dir, entry.backup || path.join('files', entry.path)), filePath, { overwrite: true });
+        } else {
+            await fs.remove(filePath);
+        }
+        restored++;
+    }
+
+    // Remove directories created by the migration, deepest first, if nothing else was put in them
+    const directories = [...manifest.directories].sort((a, b) => b.length - a.length);
+    for (const relativePath of directories) {
+        const dirPath = path.join(targetDir, relativePath);
+        if (fs.existsSync(dirPath) && (await fs.readdir(dirPath)).length === 0) {
+            await fs.remove(dirPath);
+        }
+    }
+
+    setSnapshotStatus(snapshot, 'rolled-back');
+    return restored;
+}
+
+export async function loadSnapshot(targetDir, id) {
+    const rootDir = path.join(targetDir, SNAPSHOT_ROOT);
+    if (!fs.existsSync(rootDir)) {
+        return null;
+    }
+
+    let snapshotId = id;
+    if (!snapshotId) {
+        // Use the most recent run that has not been rolled back yet
+        const ids = (await fs.readdir(rootDir)).sort().reverse();
+        for (const candidate of ids) {
+            const manifestPath = path.join(rootDir, candidate, 'manifest.json');
+            if (fs.existsSync(manifestPath)) {
+                const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+                if (manifest.status !== 'rolled-back') {
+                    snapshotId = candidate;
+                    break;
+                }
+            }
+        }
+    }
+
+    const dir = path.join(rootDir, snapshotId || '');
+    const manifestPath = path.join(dir, 'manifest.json');
+    if (!snapshotId || !fs.existsSync(manifestPath)) {
+        return null;
+    }
+
+    return {
+        targetDir,
+        dir,
+        manifestPath,
+        manifest: JSON.parse(await fs.readFile(manifestPath, 'utf8'))
+    };
+}
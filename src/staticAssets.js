@@ -1,26 +1,26 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
 import path from 'path';
+import fs from './fileSystem.js';
+import { logger } from './logger.js';
 
-export async function migrateStaticAssets(targetDir) {
-  console.log(chalk.blue('Step 11: Migrating static assets...'));
+export async function migrateStaticAssets(targetDir, settings = {}) {
+  logger.startStep('Migrating static assets');
 
   // Create public directory if it doesn't exist
   const publicDir = path.join(targetDir, 'public');
   await fs.ensureDir(publicDir);
 
   // Look for common asset directories in Vite projects
-  const commonAssetDirs = ['assets', 'static', 'images', 'img', 'fonts', 'icons'];
+  const commonAssetDirs = settings.assetDirs || ['assets', 'static', 'images', 'img', 'fonts', 'icons'];
   let foundAssets = false;
 
   for (const dir of commonAssetDirs) {
     const assetDirPath = path.join(targetDir, dir);
     if (fs.existsSync(assetDirPath) && fs.statSync(assetDirPath).isDirectory()) {
-      console.log(chalk.gray(`Found potential asset directory: ${dir}`));
+      logger.detail(`Found potential asset directory: ${dir}`);
 
       // Don't automatically move assets, just suggest it
-      console.log(chalk.yellow(`! Static assets in '${dir}' directory should be moved to 'public/${dir}'`));
-      console.log(chalk.gray(`  You can do this manually with: cp -r ${dir}/* public/${dir}/`));
+      logger.todo(`Static assets in '${dir}' directory should be moved to 'public/${dir}'`, { file: dir });
+      logger.detail(`You can do this manually with: cp -r ${dir}/* public/${dir}/`);
 
       foundAssets = true;
     }
@@ -34,7 +34,7 @@ export async function migrateStaticAssets(targetDir) {
     if (fs.existsSync(assetPath) && fs.statSync(assetPath).isFile()) {
       // Copy to public directory
       await fs.copy(assetPath, path.join(publicDir, asset));
-      console.log(chalk.green(`√ Copied ${asset} to public directory`));
+      logger.success(`Copied ${asset} to public directory`);
       foundAssets = true;
     }
   }
@@ -92,7 +92,7 @@ export function importedAssetPath(importedAsset) {
 }`;
 
   await fs.writeFile(staticHelperPath, staticHelperContent);
-  console.log(chalk.green(`√ Created static-assets.${extension} helper`));
+  logger.success(`Created static-assets.${extension} helper`);
 
   // Create migration guide for static assets
   const docsDir = path.join(targetDir, 'docs');
@@ -198,12 +198,12 @@ function DynamicImage({ imageName }) {
 `;
 
   await fs.writeFile(assetGuidePath, assetGuideContent);
-  console.log(chalk.green('√ Created static-assets-migration.md guide'));
+  logger.success('Created static-assets-migration.md guide');
 
   if (!foundAssets) {
-    console.log(chalk.yellow('i No common static assets were detected'));
+    logger.info('No common static assets were detected');
   }
 
-  console.log(chalk.green('✓ Step 11 completed'));
+  logger.stepComplete();
   return true;
 } 
\ No newline at end of file
@@ -0,0 +1,195 @@
+import path from 'path';
+import { migrateAliases } from './aliases.js';
+import { cleanupViteFiles } from './cleanup.js';
+import { migrateDependencies } from './dependencies.js';
+import { createEntrypoint, findAppComponent, findComponentFiles } from './entrypoint.js';
+import { findEnvFiles, migrateEnvVars } from './envVars.js';
+import fs from './fileSystem.js';
+import { updateImageImports } from './images.js';
+import { createNextConfig } from './nextConfig.js';
+import { updatePackageJson } from './packageJson.js';
+import { createRootLayout, findCssFiles, findGlobalCss } from './rootLayout.js';
+import { migrateReactRouter } from './routerMigration.js';
+import { migrateStaticAssets } from './staticAssets.js';
+import { updateTsConfig } from './tsConfig.js';
+import { migrateVitest } from './vitest.js';
+
+function getAppDir(targetDir, projectSetup) {
+    return projectSetup.customAppDir
+        ? path.join(targetDir, projectSetup.customAppDir)
+        : path.join(targetDir, 'src', 'app');
+}
+
+function hasAnyFile(dir, names) {
+    return names.some(name => fs.existsSync(path.join(dir, name)));
+}
+
+function readPackageJson(targetDir) {
+    const packageJsonPath = path.join(targetDir, 'package.json');
+    return fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {};
+}
+
+// Every migration step in the order it runs. `requires` lists steps that must either run
+// before it or already have been applied to the project, which `isApplied` checks on disk.
+// `run` receives the step's settings from the `steps` section of vite2next.config.
+// `choices` describes the settings a step detects on its own, so the interactive
+// review can show them and let the user override them.
+export const migrationSteps = [
+    {
+        name: 'cleanup',
+        title: 'Clean up Vite files',
+        requires: [],
+        run: (targetDir, projectSetup, options, settings) => cleanupViteFiles(targetDir, projectSetup, settings)
+    },
+    {
+        name: 'dependencies',
+        title: 'Install Next.js dependencies',
+        requires: [],
+        run: (targetDir, projectSetup, options) =>
+            migrateDependencies(targetDir, options.skipInstall || options.dryRun, projectSetup),
+        isApplied: (targetDir) => !!readPackageJson(targetDir).dependencies?.next
+    },
+    {
+        name: 'next-config',
+        title: 'Create Next.js configuration file',
+        requires: [],
+        run: (targetDir, projectSetup, options, settings) => createNextConfig(targetDir, projectSetup, settings)
+    },
+    {
+        name: 'typescript',
+        title: 'Update TypeScript configuration',
+        requires: [],
+        when: (projectSetup) => projectSetup.usesTypeScript,
+        run: (targetDir, projectSetup) => updateTsConfig(targetDir, projectSetup)
+    },
+    {
+        name: 'aliases',
+        title: 'Translate Vite path aliases',
+        requires: [],
+        when: (projectSetup) => !!projectSetup.viteConfig,
+        run: (targetDir, projectSetup) => migrateAliases(targetDir, projectSetup)
+    },
+    {
+        name: 'vitest',
+        title: 'Move Vitest configuration out of vite.config',
+        requires: [],
+        when: (projectSetup) => projectSetup.usesVitest,
+        run: (targetDir, projectSetup) => migrateVitest(targetDir, projectSetup)
+    },
+    {
+        name: 'layout',
+        title: 'Create root layout file',
+        requires: [],
+        run: (targetDir, projectSetup, options, settings) => createRootLayout(targetDir, projectSetup, settings),
+        choices: async (targetDir, projectSetup, settings) => [{
+            name: 'globalCss',
+            message: 'Global CSS file imported by the root layout',
+            type: 'file',
+            optional: true,
+            value: settings.globalCss !== undefined ? settings.globalCss : await findGlobalCss(targetDir),
+            candidates: await findCssFiles(targetDir)
+        }],
+        isApplied: (targetDir, projectSetup) =>
+            hasAnyFile(getAppDir(targetDir, projectSetup), ['layout.tsx', 'layout.jsx', 'layout.js'])
+    },
+    {
+        name: 'entrypoint',
+        title: 'Create entrypoint page',
+        requires: ['layout'],
+        run: (targetDir, projectSetup, options, settings) => createEntrypoint(targetDir, projectSetup, settings),
+        choices: async (targetDir, projectSetup, settings) => [{
+            name: 'appComponent',
+            message: 'App component rendered by the entrypoint page',
+            type: 'file',
+            value: await findAppComponent(targetDir, settings),
+            candidates: await findComponentFiles(targetDir)
+        }],
+        isApplied: (targetDir, projectSetup) => hasAnyFile(getAppDir(targetDir, projectSetup), [
+            'page.tsx', 'page.jsx', 'page.js',
+            '[[...slug]]/page.tsx', '[[...slug]]/page.jsx', '[[...slug]]/page.js'
+        ])
+    },
+    {
+        name: 'images',
+        title: 'Update static image imports',
+        requires: [],
+        run: (targetDir) => updateImageImports(targetDir)
+    },
+    {
+        name: 'env',
+        title: 'Migrate environment variables',
+        requires: [],
+        run: (targetDir, projectSetup, options, settings) => migrateEnvVars(targetDir, settings),
+        choices: async (targetDir, projectSetup, settings) => {
+            const envFiles = await findEnvFiles(targetDir, settings);
+            return [{
+                name: 'files',
+                message: '.env files to rewrite (VITE_ → NEXT_PUBLIC_)',
+                type: 'files',
+                value: envFiles,
+                candidates: [...new Set([...await findEnvFiles(targetDir), ...envFiles])].sort()
+            }];
+        }
+    },
+    {
+        name: 'package-json',
+        title: 'Update package.json scripts',
+        requires: ['dependencies'],
+        run: (targetDir, projectSetup) => updatePackageJson(targetDir, projectSetup)
+    },
+    {
+        name: 'router',
+        title: 'Setup React Router compatibility',
+        requires: ['entrypoint'],
+        when: (projectSetup) => projectSetup.usesReactRouter,
+        run: (targetDir, projectSetup) => migrateReactRouter(targetDir, projectSetup)
+    },
+    {
+        name: 'static-assets',
+        title: 'Migrate static assets',
+        requires: [],
+        run: (targetDir, projectSetup, options, settings) => migrateStaticAssets(targetDir, settings)
+    }
+];
+
+function parseStepList(value) {
+    if (!value) return [];
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    return names.map(name => name.trim()).filter(Boolean);
+}
+
+// Resolve --only/--skip into the steps to run, checking that every prerequisite
+// is either selected as well or already applied to the project
+export function selectSteps(targetDir, projectSetup, options = {}) {
+    const only = parseStepList(options.only);
+    const skip = parseStepList(options.skip);
+    const knownNames = migrationSteps.map(step => step.name);
+
+    for (const name of [...only, ...skip]) {
+        if (!knownNames.includes(name)) {
+            throw new Error(`Unknown migration step "${name}". Available steps: ${knownNames.join(', ')}`);
+        }
+    }
+
+    const selected = migrationSteps.filter(step =>
+        (only.length === 0 || only.includes(step.name)) &&
+        !skip.includes(step.name) &&
+        (!step.when || step.when(projectSetup))
+    );
+    const selectedNames = selected.map(step => step.name);
+
+    for (const step of selected) {
+        for (const required of step.requires) {
+            if (selectedNames.includes(required)) continue;
+
+            const prerequisite = migrationSteps.find(candidate => candidate.name === required);
+            if (!prerequisite.isApplied || !prerequisite.isApplied(targetDir, projectSetup)) {
+                throw new Error(
+                    `Step "${step.name}" requires "${required}", which is not selected and has not been applied to this project yet`
+                );
+            }
+        }
+    }
+
+    return selected;
+}
@@ -1,15 +1,16 @@
-import chalk from 'chalk';
-import fs from 'fs-extra';
 import path from 'path';
+import fs from './fileSystem.js';
+import { logger } from './logger.js';
+import { getNextCapabilities } from './nextVersions.js';
 
-export async function updateTsConfig(targetDir) {
-    console.log(chalk.blue('Step 4: Updating TypeScript configuration...'));
+export async function updateTsConfig(targetDir, projectSetup) {
+    logger.startStep('Updating TypeScript configuration');
 
     const tsConfigPath = path.join(targetDir, 'tsconfig.json');
 
     // Check if project uses TypeScript
     if (!fs.existsSync(tsConfigPath)) {
-        console.log(chalk.yellow('i No tsconfig.json found, skipping TypeScript configuration update'));
+        logger.info('No tsconfig.json found, skipping TypeScript configuration update');
         return true;
     }
 
@@ -21,7 +22,7 @@ export async function updateTsConfig(targetDir) {
         if (tsConfig.files && Array.isArray(tsConfig.files) && tsConfig.files.length === 0) {
             delete tsConfig.files;
             updated = true;
-            console.log(chalk.green('√ Removed empty files array'));
+            logger.success('Removed empty files array');
         }
 
         // Initialize compilerOptions if not present
@@ -33,31 +34,31 @@ export async function updateTsConfig(targetDir) {
         if (tsConfig.compilerOptions.jsx !== 'preserve') {
             tsConfig.compilerOptions.jsx = 'preserve';
             updated = true;
-            console.log(chalk.green('√ Set jsx to "preserve"'));
+            logger.success('Set jsx to "preserve"');
         }
 
         if (tsConfig.compilerOptions.esModuleInterop !== true) {
             tsConfig.compilerOptions.esModuleInterop = true;
             updated = true;
-            console.log(chalk.green('√ Set esModuleInterop to true'));
+            logger.success('Set esModuleInterop to true');
         }
 
         if (tsConfig.compilerOptions.allowJs !== true) {
             tsConfig.compilerOptions.allowJs = true;
             updated = true;
-            console.log(chalk.green('√ Set allowJs to true'));
+            logger.success('Set allowJs to true');
         }
 
         if (tsConfig.compilerOptions.forceConsistentCasingInFileNames !== true) {
             tsConfig.compilerOptions.forceConsistentCasingInFileNames = true;
             updated = true;
-            console.log(chalk.green('√ Set forceConsistentCasingInFileNames to true'));
+            logger.success('Set forceConsistentCasingInFileNames to true');
         }
 
         if (tsConfig.compilerOptions.incremental !== true) {
             tsConfig.compilerOptions.incremental = true;
             updated = true;
-            console.log(chalk.green('√ Set incremental to true'));
+            logger.success('Set incremental to true');
         }
 
         // Add Next.js plugin
@@ -72,7 +73,7 @@ export async function updateTsConfig(targetDir) {
         if (!hasNextPlugin) {
             tsConfig.compilerOptions.plugins.push({ name: 'next' });
             updated = true;
-            console.log(chalk.green('√ Added Next.js plugin to plugins array'));
+            logger.success('Added Next.js plugin to plugins array');
         }
 
         // Update include array
@@ -92,7 +93,7 @@ export async function updateTsConfig(targetDir) {
 
         if (includeUpdated) {
             updated = true;
-            console.log(chalk.green('√ Updated include array with Next.js entries'));
+            logger.success('Updated include array with Next.js entries');
         }
 
         // Update exclude array
@@ -103,7 +104,7 @@ export async function updateTsConfig(targetDir) {
         if (!tsConfig.exclude.includes('./node_modules')) {
             tsConfig.exclude.push('./node_modules');
             updated = true;
-            console.log(chalk.green('√ Added node_modules to exclude array'));
+            logger.success('Added node_modules to exclude array');
         }
 
         // Remove references to tsconfig.node.json
@@ -115,7 +116,7 @@ export async function updateTsConfig(targetDir) {
             if (nodeConfigRef !== -1) {
                 tsConfig.references.splice(nodeConfigRef, 1);
                 updated = true;
-                console.log(chalk.green('√ Removed reference to tsconfig.node.json'));
+                logger.success('Removed reference to tsconfig.node.json');
             }
 
             const appConfigRef = tsConfig.references.findIndex(
@@ -125,39 +126,36 @@ export async function updateTsConfig(targetDir) {
             if (appConfigRef !== -1) {
                 tsConfig.references.splice(appConfigRef, 1);
                 updated = true;
-                console.log(chalk.green('√ Removed reference to tsconfig.app.json'));
+                logger.success('Removed reference to tsconfig.app.json');
             }
 
             // Remove references array if empty
             if (tsConfig.references.length === 0) {
                 delete tsConfig.references;
                 updated = true;
-                console.log(chalk.green('√ Removed empty references array'));
+                logger.success('Removed empty references array');
             }
         }
 
         // Save changes if needed
         if (updated) {
             await fs.writeFile(tsConfigPath, JSON.stringify(tsConfig, null, 2));
-            console.log(chalk.green('√ Updated tsconfig.json'));
+            logger.success('Updated tsconfig.json');
         } else {
-            console.log(chalk.yellow('i No changes needed for tsconfig.json'));
+            logger.info('No changes needed for tsconfig.json');
         }
 
         // Create next-env.d.ts if it doesn't exist
         const nextEnvPath = path.join(targetDir, 'next-env.d.ts');
         if (!fs.existsSync(nextEnvPath)) {
-            await fs.writeFile(
-                nextEnvPath,
-                `/// <reference types="next" />\n/// <reference types="next/image-types/global" />\n\n// NOTE: This file should not be edited\n// see https://nextjs.org/docs/basic-features/typescript for more information.\n`
-            );
-            console.log(chalk.green('√ Created next-env.d.ts'));
+            await fs.writeFile(nextEnvPath, getNextCapabilities(targetDir, projectSetup).nextEnv);
+            logger.success('Created next-env.d.ts');
         }
 
-        console.log(chalk.green('✓ Step 3 completed'));
+        logger.stepComplete();
         return true;
     } catch (error) {
-        console.error(chalk.red(`Error updating tsconfig.json: ${error.message}`));
+        logger.error('Error updating tsconfig.json', error.message);
         throw error;
     }
 } 
\ No newline at end of file
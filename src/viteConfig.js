@@ -0,0 +1,475 @@
+import { parse, parseExpression } from '@babel/parser';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const VITE_CONFIG_FILES = [
+    'vite.config.ts',
+    'vite.config.js',
+    'vite.config.mts',
+    'vite.config.mjs',
+    'vite.config.cts',
+    'vite.config.cjs'
+];
+
+const PATH_MODULES = ['path', 'node:path'];
+const URL_MODULES = ['url', 'node:url'];
+
+// A value that can't be evaluated without running the config, kept as its source code.
+// `callee` names the function and `args` holds the evaluated arguments for calls such
+// as plugins, `regexp` holds regex literals.
+function createExpression(node, context, extra = {}) {
+    return { $expression: context.source.slice(node.start, node.end), ...extra };
+}
+
+export function isExpression(value) {
+    return !!value && typeof value === 'object' && '$expression' in value;
+}
+
+function getCalleeName(callee) {
+    if (callee.type === 'Identifier') {
+        return callee.name;
+    }
+    if (callee.type === 'MetaProperty') {
+        return `${callee.meta.name}.${callee.property.name}`;
+    }
+    if (callee.type === 'MemberExpression' && !callee.computed) {
+        const object = getCalleeName(callee.object);
+        return object ? `${object}.${callee.property.name}` : null;
+    }
+    return null;
+}
+
+function isImportOf(context, name, modules, imported) {
+    const binding = context.imports[name];
+    return !!binding && modules.includes(binding.source) && (!imported || binding.imported === imported);
+}
+
+// path.resolve(__dirname, 'src'), join(...), fileURLToPath(new URL('./src', import.meta.url)) and friends
+function evaluatePathCall(node, context) {
+    const { callee } = node;
+    let method = null;
+
+    if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier' &&
+        isImportOf(context, callee.object.name, PATH_MODULES)) {
+        method = callee.property.name;
+    } else if (callee.type === 'Identifier') {
+        for (const candidate of ['resolve', 'join', 'fileURLToPath']) {
+            const modules = candidate === 'fileURLToPath' ? URL_MODULES : PATH_MODULES;
+            if (isImportOf(context, callee.name, modules, candidate)) {
+                method = candidate;
+            }
+        }
+    }
+
+    if (!method) {
+        return undefined;
+    }
+
+    const args = node.arguments.map(argument => evaluate(argument, context));
+    if (!args.every(arg => typeof arg === 'string')) {
+        return undefined;
+    }
+
+    if (method === 'resolve') {
+        return path.resolve(context.dir, ...args);
+    }
+    if (method === 'join') {
+        return path.join(...args);
+    }
+    if (method === 'fileURLToPath' && args[0].startsWith('file:')) {
+        return fileURLToPath(args[0]);
+    }
+
+    return undefined;
+}
+
+function evaluateObject(node, context) {
+    const result = {};
+
+    for (const property of node.properties) {
+        if (property.type === 'SpreadElement') {
+            const spread = evaluate(property.argument, context);
+            if (spread && typeof spread === 'object' && !Array.isArray(spread) && !isExpression(spread)) {
+                Object.assign(result, spread);
+            }
+            continue;
+        }
+
+        let key;
+        if (!property.computed && property.key.type === 'Identifier') {
+            key = property.key.name;
+        } else if (property.key.type === 'StringLiteral' || property.key.type === 'NumericLiteral') {
+            key = String(property.key.value);
+        } else {
+            continue;
+        }
+
+        result[key] = property.type === 'ObjectMethod'
+            ? createExpression(property, context)
+            : evaluate(property.value, context);
+    }
+
+    return result;
+}
+
+// Statically evaluate an expression from the config. Anything that needs the config
+// to actually run (plugin calls, loadEnv, conditionals) is kept as an expression.
+function evaluate(node, context) {
+    switch (node.type) {
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+            return node.value;
+        case 'NullLiteral':
+            return null;
+        case 'RegExpLiteral':
+            return createExpression(node, context, { regexp: { pattern: node.pattern, flags: node.flags } });
+        case 'TemplateLiteral': {
+            const values = node.expressions.map(expression => evaluate(expression, context));
+            if (!values.every(value => ['string', 'number', 'boolean'].includes(typeof value))) {
+                return createExpression(node, context);
+            }
+            return node.quasis.map((quasi, index) => quasi.value.cooked + (index < values.length ? values[index] : '')).join('');
+        }
+        case 'ObjectExpression':
+            return evaluateObject(node, context);
+        case 'ArrayExpression':
+            return node.elements.flatMap(element => {
+                if (!element) return [undefined];
+                if (element.type === 'SpreadElement') {
+                    const spread = evaluate(element.argument, context);
+                    return Array.isArray(spread) ? spread : [createExpression(element, context)];
+                }
+                return [evaluate(element, context)];
+            });
+        case 'Identifier': {
+            if (node.name === 'undefined') return undefined;
+            if (node.name === '__dirname') return context.dir;
+            if (node.name === '__filename') return context.file;
+
+            const declaration = context.scope[node.name];
+            if (declaration && !context.evaluating.has(node.name)) {
+                context.evaluating.add(node.name);
+                try {
+                    return evaluate(declaration, context);
+                } finally {
+                    context.evaluating.delete(node.name);
+                }
+            }
+            return createExpression(node, context);
+        }
+        case 'TSAsExpression':
+        case 'TSSatisfiesExpression':
+        case 'TSNonNullExpression':
+        case 'TSTypeAssertion':
+        case 'ParenthesizedExpression':
+            return evaluate(node.expression, context);
+        case 'UnaryExpression': {
+            const argument = evaluate(node.argument, context);
+            if (node.operator === '-' && typeof argument === 'number') return -argument;
+            if (node.operator === '!' && !isExpression(argument) && typeof argument !== 'object') return !argument;
+            return createExpression(node, context);
+        }
+        case 'BinaryExpression': {
+            const left = evaluate(node.left, context);
+            const right = evaluate(node.right, context);
+            if (node.operator === '+' && ['string', 'number'].includes(typeof left) && ['string', 'number'].includes(typeof right)) {
+                return left + right;
+            }
+            return createExpression(node, context);
+        }
+        case 'MemberExpression': {
+            const name = getCalleeName(node);
+            if (name === 'import.meta.url') return pathToFileURL(context.file).href;
+            if (name === 'import.meta.dirname') return context.dir;
+            if (name === 'import.meta.filename') return context.file;
+
+            if (!node.computed && node.property.name === 'pathname') {
+                const url = evaluate(node.object, context);
+                if (typeof url === 'string' && url.startsWith('file:')) {
+                    return fileURLToPath(url);
+                }
+            }
+            return createExpression(node, context);
+        }
+        case 'MetaProperty':
+            return createExpression(node, context);
+        case 'NewExpression': {
+            if (node.callee.type === 'Identifier' && node.callee.name === 'URL' && node.arguments.length === 2) {
+                const [relative, base] = node.arguments.map(argument => evaluate(argument, context));
+                if (typeof relative === 'string' && typeof base === 'string') {
+                    return new URL(relative, base).href;
+                }
+            }
+            return createExpression(node, context);
+        }
+        case 'CallExpression': {
+            const resolvedPath = evaluatePathCall(node, context);
+            if (resolvedPath !== undefined) {
+                return resolvedPath;
+            }
+
+            const callee = getCalleeName(node.callee);
+            if (callee === 'JSON.stringify' && node.arguments.length === 1) {
+                const value = evaluate(node.arguments[0], context);
+                if (!containsExpression(value)) {
+                    return JSON.stringify(value);
+                }
+            }
+            if (callee === 'process.cwd' && node.arguments.length === 0) {
+                return context.dir;
+            }
+
+            return createExpression(node, context, {
+                callee,
+                args: node.arguments.map(argument => evaluate(argument, context))
+            });
+        }
+        default:
+            return createExpression(node, context);
+    }
+}
+
+function getSource(node, context) {
+    return context.source.slice(node.start, node.end);
+}
+
+// The source code of each top-level config property, e.g. { test: "{ globals: true }" }
+function collectSections(configObject, context) {
+    const sections = {};
+
+    for (const property of configObject.properties) {
+        if (property.type !== 'ObjectProperty' || property.computed) continue;
+
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        sections[key] = getSource(property.value, context);
+    }
+
+    return sections;
+}
+
+// Free variables an expression refers to, e.g. `path` and `__dirname` in path.resolve(__dirname, 'src').
+// Scoping isn't tracked, so function parameters are included as well.
+export function getReferencedNames(source) {
+    const names = new Set();
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string') {
+            return;
+        }
+        if (node.type === 'Identifier') {
+            names.add(node.name);
+            return;
+        }
+
+        for (const [key, child] of Object.entries(node)) {
+            if (['loc', 'start', 'end', 'extra'].includes(key)) continue;
+            // obj.prop and { key: value } name properties, not variables
+            if (key === 'property' && !node.computed && node.type.includes('Member')) continue;
+            if (key === 'key' && !node.computed && /Property|Method/.test(node.type)) continue;
+
+            for (const item of Array.isArray(child) ? child : [child]) {
+                if (item && typeof item === 'object') {
+                    visit(item);
+                }
+            }
+        }
+    };
+
+    visit(parseExpression(source, { plugins: ['typescript'] }));
+    return names;
+}
+
+export function containsExpression(value) {
+    if (isExpression(value)) return true;
+    if (Array.isArray(value)) return value.some(containsExpression);
+    if (value && typeof value === 'object') return Object.values(value).some(containsExpression);
+    return false;
+}
+
+function collectDeclarations(statements, context) {
+    for (const statement of statements) {
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+        if (declaration?.type !== 'VariableDeclaration') continue;
+
+        for (const declarator of declaration.declarations) {
+            if (declarator.id.type !== 'Identifier' || !declarator.init) continue;
+
+            // const path = require('path')
+            const init = declarator.init;
+            if (init.type === 'CallExpression' && init.callee.type === 'Identifier' && init.callee.name === 'require' &&
+                init.arguments[0]?.type === 'StringLiteral') {
+                context.imports[declarator.id.name] = { source: init.arguments[0].value, imported: 'default' };
+                continue;
+            }
+
+            context.scope[declarator.id.name] = init;
+        }
+    }
+}
+
+function collectImports(statements, context) {
+    for (const statement of statements) {
+        if (statement.type !== 'ImportDeclaration') continue;
+
+        for (const specifier of statement.specifiers) {
+            let imported = 'default';
+            if (specifier.type === 'ImportSpecifier') {
+                imported = specifier.imported.name || specifier.imported.value;
+            } else if (specifier.type === 'ImportNamespaceSpecifier') {
+                imported = '*';
+            }
+            context.imports[specifier.local.name] = { source: statement.source.value, imported };
+        }
+    }
+}
+
+// Follow defineConfig(...), config functions and variables down to the config object
+function findConfigObject(node, context) {
+    if (!node) {
+        return null;
+    }
+
+    switch (node.type) {
+        case 'ObjectExpression':
+            return node;
+        case 'CallExpression':
+            return node.arguments.length === 1 ? findConfigObject(node.arguments[0], context) : null;
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+        case 'FunctionDeclaration': {
+            if (node.body.type !== 'BlockStatement') {
+                return findConfigObject(node.body, context);
+            }
+            collectDeclarations(node.body.body, context);
+            const returned = node.body.body.filter(statement => statement.type === 'ReturnStatement').pop();
+            return findConfigObject(returned?.argument, context);
+        }
+        case 'Identifier':
+            return findConfigObject(context.scope[node.name] || context.functions[node.name], context);
+        case 'TSAsExpression':
+        case 'TSSatisfiesExpression':
+        case 'ParenthesizedExpression':
+            return findConfigObject(node.expression, context);
+        default:
+            return null;
+    }
+}
+
+function findExportedConfig(statements) {
+    for (const statement of statements) {
+        if (statement.type === 'ExportDefaultDeclaration') {
+            return statement.declaration;
+        }
+
+        // module.exports = ...
+        const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+        if (expression?.type === 'AssignmentExpression' && expression.left.type === 'MemberExpression' &&
+            getCalleeName(expression.left) === 'module.exports') {
+            return expression.right;
+        }
+    }
+    return null;
+}
+
+// Declared versions of the packages the config imports, since cleanup removes them from package.json
+function readImportedVersions(targetDir, sources) {
+    const packageJsonPath = path.join(targetDir, 'package.json');
+    if (!fs.existsSync(packageJsonPath)) {
+        return {};
+    }
+
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const declared = { ...packageJson.devDependencies, ...packageJson.dependencies };
+    return Object.fromEntries(sources.filter(source => declared[source]).map(source => [source, declared[source]]));
+}
+
+function parseConfigFile(source, filePath) {
+    const context = {
+        source,
+        file: filePath,
+        dir: path.dirname(filePath),
+        imports: {},
+        scope: {},
+        functions: {},
+        evaluating: new Set()
+    };
+
+    const ast = parse(source, {
+        sourceType: 'unambiguous',
+        plugins: /\.[cm]?ts$/.test(filePath) ? ['typescript'] : ['jsx']
+    });
+
+    const statements = ast.program.body;
+    collectImports(statements, context);
+    collectDeclarations(statements, context);
+    for (const statement of statements) {
+        if (statement.type === 'FunctionDeclaration' && statement.id) {
+            context.functions[statement.id.name] = statement;
+        }
+    }
+
+    return { context, statements };
+}
+
+// The object literal any config file exports, through defineConfig(), wrappers such as
+// withBundleAnalyzer(config), functions and variables, or null. Throws when the file
+// doesn't parse. Lets other steps edit config files such as next.config in place.
+export function findExportedObject(source, filePath) {
+    const { context, statements } = parseConfigFile(source, filePath);
+    return findConfigObject(findExportedConfig(statements), context);
+}
+
+export function findViteConfigFile(targetDir) {
+    return VITE_CONFIG_FILES.find(file => fs.existsSync(path.join(targetDir, file))) || null;
+}
+
+// Statically read the project's vite.config before the migration deletes it. Returns
+// { file, config, imports, versions, bindings, sections } where config holds every value that
+// could be evaluated and expressions (see isExpression) for the rest, or null when there is
+// no vite.config. `sections` and `bindings` keep the source code of the config's properties
+// and top-level names for steps that move parts of the config into other files.
+export function readViteConfig(targetDir) {
+    const file = findViteConfigFile(targetDir);
+    if (!file) {
+        return null;
+    }
+
+    const filePath = path.join(targetDir, file);
+    const source = fs.readFileSync(filePath, 'utf8');
+
+    let context, statements;
+    try {
+        ({ context, statements } = parseConfigFile(source, filePath));
+    } catch (error) {
+        return { file, config: {}, imports: {}, error: `Could not parse ${file}: ${error.message}` };
+    }
+
+    // Top-level names as code that can be copied into another config file
+    const bindings = {
+        ...Object.fromEntries(Object.entries(context.scope).map(([name, init]) => [name, { code: getSource(init, context) }])),
+        ...Object.fromEntries(Object.entries(context.imports).map(([name, binding]) => [
+            name,
+            { module: binding.source, imported: binding.imported }
+        ]))
+    };
+
+    const configObject = findConfigObject(findExportedConfig(statements), context);
+    const imports = Object.fromEntries(
+        Object.entries(context.imports).map(([name, binding]) => [name, binding.source])
+    );
+    const versions = readImportedVersions(targetDir, Object.values(imports));
+
+    if (!configObject) {
+        return { file, config: {}, imports, versions, bindings, sections: {}, error: `Could not find the exported config object in ${file}` };
+    }
+
+    return {
+        file,
+        config: evaluate(configObject, context),
+        imports,
+        versions,
+        bindings,
+        sections: collectSections(configObject, context)
+    };
+}
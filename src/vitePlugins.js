@@ -0,0 +1,143 @@
+import { isExpression } from './viteConfig.js';
+
+// Next.js' own image rule handles .svg files; `?react` imports go to SVGR instead, the way
+// vite-plugin-svgr 4 does it
+const SVGR_WEBPACK_RULE = `const fileLoaderRule = config.module.rules.find((rule) => rule.test?.test?.('.svg'));
+fileLoaderRule.resourceQuery = { not: [...(fileLoaderRule.resourceQuery?.not || []), /react/] };
+config.module.rules.push({
+  test: /\\.svg$/i,
+  issuer: fileLoaderRule.issuer,
+  resourceQuery: /react/,
+  use: ['@svgr/webpack'],
+});`;
+
+const SVGR_DECLARATIONS = `declare module '*.svg?react' {
+  import * as React from 'react';
+  const ReactComponent: React.FunctionComponent<React.SVGProps<SVGSVGElement>>;
+  export default ReactComponent;
+}`;
+
+function getOptions(plugin) {
+    const options = plugin.args?.[0];
+    return options && typeof options === 'object' && !isExpression(options) ? options : {};
+}
+
+// Known Vite plugins and what replaces them in Next.js. Each entry can change the
+// generated next.config (`nextConfig`: options and webpack statements), add
+// `devDependencies`, edit package.json (`packageJson`, which returns what it did or
+// nothing) and add global type `declarations`. `todo`
+// returns follow-ups the mapping can't handle, given the plugin call and its version.
+export const VITE_PLUGIN_MAPPINGS = [
+    {
+        packages: ['@vitejs/plugin-react', '@vitejs/plugin-react-swc'],
+        replacement: 'Next.js compiles React with SWC and has Fast Refresh built in',
+        todo: (plugin) => {
+            const options = getOptions(plugin);
+            return options.babel || options.plugins
+                ? ['its Babel/SWC plugins are not carried over, add a .babelrc or the matching `compiler` options by hand']
+                : [];
+        }
+    },
+    {
+        packages: ['vite-plugin-svgr'],
+        replacement: 'SVGR through @svgr/webpack for `*.svg?react` imports',
+        nextConfig: { webpack: [SVGR_WEBPACK_RULE] },
+        devDependencies: { '@svgr/webpack': '^8.1.0' },
+        declarations: SVGR_DECLARATIONS,
+        todo: (plugin, version) => {
+            const major = Number(version?.match(/\d+/)?.[0]);
+            return major && major < 4
+                ? ['`import { ReactComponent } from \'./icon.svg\'` imports have to become `import Icon from \'./icon.svg?react\'`']
+                : [];
+        }
+    },
+    {
+        packages: ['vite-tsconfig-paths'],
+        replacement: 'Next.js resolves tsconfig/jsconfig paths natively'
+    },
+    {
+        packages: ['@vitejs/plugin-legacy'],
+        replacement: 'browserslist in package.json, which Next.js compiles and polyfills for',
+        packageJson: (packageJson, plugin) => {
+            const { targets } = getOptions(plugin);
+            const browserslist = typeof targets === 'string' ? targets.split(',').map(target => target.trim()) : targets;
+
+            if (!Array.isArray(browserslist) || !browserslist.every(target => typeof target === 'string')) {
+                return null;
+            }
+            packageJson.browserslist = browserslist;
+            return `Set browserslist to ${browserslist.join(', ')}`;
+        },
+        todo: () => ['Next.js ships no separate legacy (nomodule) bundles, check that the browserslist targets are enough']
+    },
+    {
+        packages: ['vite-plugin-checker'],
+        replacement: '`next build` type-checks and lints, `next lint` and `tsc --noEmit` run them on their own',
+        packageJson: (packageJson, plugin) => {
+            if (!getOptions(plugin).typescript || packageJson.scripts?.typecheck) {
+                return null;
+            }
+            packageJson.scripts = { ...packageJson.scripts, typecheck: 'tsc --noEmit' };
+            return 'Added a typecheck script';
+        }
+    },
+    {
+        packages: ['vite-plugin-compression', 'vite-plugin-compression2'],
+        replacement: 'gzip compression built into `next start`',
+        nextConfig: { options: { compress: true } },
+        todo: (plugin) => {
+            const { algorithm } = getOptions(plugin);
+            return algorithm && algorithm !== 'gzip'
+                ? [`Next.js only compresses with gzip, serve ${algorithm} from a CDN or reverse proxy`]
+                : [];
+        }
+    }
+];
+
+function flattenPlugins(plugins) {
+    return plugins.flatMap(plugin => Array.isArray(plugin) ? flattenPlugins(plugin) : [plugin]);
+}
+
+// The package a plugin call comes from, through the imports of the Vite config
+function getPluginPackage(plugin, viteConfig) {
+    if (!isExpression(plugin) || !plugin.callee) {
+        return null;
+    }
+    return viteConfig.imports?.[plugin.callee.split('.')[0]] || null;
+}
+
+// Sort the plugins from vite.config into the ones with a Next.js mapping and the rest,
+// which are left to do by hand. Each entry has the plugin expression and its `package`.
+export function resolveVitePlugins(viteConfig) {
+    const plugins = viteConfig?.config?.plugins;
+    const mapped = [];
+    const unmapped = [];
+
+    if (!plugins) {
+        return { mapped, unmapped };
+    }
+
+    if (!Array.isArray(plugins)) {
+        unmapped.push({ plugin: plugins, package: null });
+        return { mapped, unmapped };
+    }
+
+    for (const plugin of flattenPlugins(plugins)) {
+        if (!plugin) continue;
+
+        const packageName = getPluginPackage(plugin, viteConfig);
+        const mapping = packageName && VITE_PLUGIN_MAPPINGS.find(candidate => candidate.packages.includes(packageName));
+
+        if (mapping) {
+            mapped.push({ plugin, package: packageName, version: viteConfig.versions?.[packageName], mapping });
+        } else {
+            unmapped.push({ plugin, package: packageName });
+        }
+    }
+
+    return { mapped, unmapped };
+}
+
+export function describePlugin({ plugin, package: packageName }) {
+    return packageName || plugin?.$expression || String(plugin);
+}
@@ -0,0 +1,177 @@
+import path from 'path';
+import fs from './fileSystem.js';
+import { logger } from './logger.js';
+import { getReferencedNames } from './viteConfig.js';
+import { resolveVitePlugins } from './vitePlugins.js';
+
+const VITEST_CONFIG_FILES = ['vitest.config.ts', 'vitest.config.mts', 'vitest.config.js', 'vitest.config.mjs'];
+
+// Plugins the tests still need once vite.config is gone: JSX, SVG components and path aliases
+const VITEST_PLUGINS = ['@vitejs/plugin-react', '@vitejs/plugin-react-swc', 'vite-plugin-svgr', 'vite-tsconfig-paths'];
+
+function getVitestPlugins(projectSetup) {
+    const { mapped, unmapped } = resolveVitePlugins(projectSetup.viteConfig);
+    return [...mapped, ...unmapped].filter(entry => VITEST_PLUGINS.includes(entry.package));
+}
+
+// Packages cleanup has to keep for the test suite to run: Vitest itself and the plugins
+// the generated vitest.config uses
+export function getVitestPackages(projectSetup) {
+    if (!projectSetup.usesVitest) {
+        return [];
+    }
+    return ['vitest', ...getVitestPlugins(projectSetup).map(entry => entry.package)];
+}
+
+export function isVitestPackage(name, projectSetup) {
+    return getVitestPackages(projectSetup).includes(name) || (projectSetup.usesVitest && name.startsWith('@vitest/'));
+}
+
+function renderImports(names, bindings) {
+    const modules = new Map();
+
+    for (const name of names) {
+        const binding = bindings[name];
+        if (!binding.module) continue;
+
+        const entry = modules.get(binding.module) || { defaults: [], named: [] };
+        if (binding.imported === 'default') {
+            entry.defaults.push(name);
+        } else if (binding.imported === '*') {
+            entry.namespace = name;
+        } else {
+            entry.named.push(binding.imported === name ? name : `${binding.imported} as ${name}`);
+        }
+        modules.set(binding.module, entry);
+    }
+
+    return [...modules].flatMap(([module, entry]) => {
+        const lines = entry.defaults.map(name => `import ${name} from '${module}';`);
+        if (entry.namespace) {
+            lines.push(`import * as ${entry.namespace} from '${module}';`);
+        }
+        if (entry.named.length > 0) {
+            lines.push(`import { ${entry.named.join(', ')} } from '${module}';`);
+        }
+        return lines;
+    });
+}
+
+// Names from the Vite config that the copied code uses, including what those names use in turn
+function collectBindings(sources, bindings) {
+    const needed = new Set();
+    const pending = sources.flatMap(source => [...getReferencedNames(source)]);
+
+    while (pending.length > 0) {
+        const name = pending.pop();
+        if (needed.has(name) || name === 'defineConfig' || !bindings[name]) continue;
+
+        needed.add(name);
+        if (bindings[name].code) {
+            pending.push(...getReferencedNames(bindings[name].code));
+        }
+    }
+
+    // Keep the order of the Vite config, so declarations still come before their use
+    return Object.keys(bindings).filter(name => needed.has(name));
+}
+
+function renderVitestConfig(viteConfig, plugins) {
+    const { sections = {}, bindings = {} } = viteConfig;
+    const properties = {};
+
+    if (plugins.length > 0) {
+        properties.plugins = `[${plugins.map(entry => entry.plugin.$expression).join(', ')}]`;
+    }
+    if (sections.resolve) {
+        properties.resolve = sections.resolve;
+    }
+    if (sections.test) {
+        properties.test = sections.test;
+    }
+
+    const names = collectBindings(Object.values(properties), bindings);
+    const imports = ['import { defineConfig } from \'vitest/config\';', ...renderImports(names, bindings)];
+    const declarations = names
+        .filter(name => bindings[name].code)
+        .map(name => `const ${name} = ${bindings[name].code};`);
+
+    return `${imports.join('\n')}
+${declarations.length > 0 ? `\n${declarations.join('\n')}\n` : ''}
+// Moved out of ${viteConfig.file}, which Next.js doesn't use
+export default defineConfig({
+${Object.entries(properties).map(([key, value]) => `  ${key}: ${value},`).join('\n')}
+});
+`;
+}
+
+// Point scripts that passed vite.config to Vitest at the new config, and add a test
+// script when none runs Vitest
+function updateTestScripts(packageJson, viteConfigFile, configName) {
+    const scripts = packageJson.scripts || {};
+    const changed = [];
+
+    for (const [name, command] of Object.entries(scripts)) {
+        if (viteConfigFile && /\bvitest\b/.test(command) && command.includes(viteConfigFile)) {
+            scripts[name] = command.split(viteConfigFile).join(configName);
+            changed.push(name);
+        }
+    }
+
+    if (!Object.values(scripts).some(command => /\bvitest\b/.test(command)) && !scripts.test) {
+        scripts.test = 'vitest';
+        changed.push('test');
+    }
+
+    packageJson.scripts = scripts;
+    return changed;
+}
+
+// Vitest reads vite.config, which the cleanup step deletes. Move its `test` section,
+// together with the plugins and aliases the tests need, into a vitest.config of its own.
+export async function migrateVitest(targetDir, projectSetup) {
+    logger.startStep('Moving Vitest configuration out of vite.config');
+
+    const existingConfig = VITEST_CONFIG_FILES.find(file => fs.existsSync(path.join(targetDir, file)));
+    const viteConfig = projectSetup.viteConfig;
+    let configName = existingConfig;
+
+    if (existingConfig) {
+        const content = await fs.readFile(path.join(targetDir, existingConfig), 'utf8');
+        logger.info(`${existingConfig} already exists, keeping it`);
+        if (/vite\.config/.test(content)) {
+            logger.todo(`${existingConfig} imports vite.config, which is deleted by the cleanup step, inline what it needs`, {
+                file: existingConfig
+            });
+        }
+    } else if (viteConfig && !viteConfig.error) {
+        configName = projectSetup.usesTypeScript ? 'vitest.config.ts' : 'vitest.config.mjs';
+
+        const plugins = getVitestPlugins(projectSetup);
+        await fs.writeFile(path.join(targetDir, configName), renderVitestConfig(viteConfig, plugins));
+        logger.success(`Created ${configName}${viteConfig.sections?.test ? ` with the test section of ${viteConfig.file}` : ''}`);
+        if (plugins.length > 0) {
+            logger.detail(`Plugins kept for the tests: ${plugins.map(entry => entry.package).join(', ')}`);
+        }
+    } else {
+        if (viteConfig) {
+            logger.warning(`${viteConfig.file} could not be read, create a vitest.config by hand`);
+        } else {
+            logger.info('No Vite config found, Vitest keeps running with its defaults');
+        }
+        logger.stepComplete();
+        return true;
+    }
+
+    const packageJsonPath = path.join(targetDir, 'package.json');
+    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
+    const changedScripts = updateTestScripts(packageJson, viteConfig?.file, configName);
+
+    if (changedScripts.length > 0) {
+        await fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+        logger.success(`Updated the ${changedScripts.join(', ')} script${changedScripts.length > 1 ? 's' : ''} to use ${configName}`);
+    }
+
+    logger.stepComplete();
+    return true;
+}
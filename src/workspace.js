@@ -0,0 +1,89 @@
+import fs from 'fs-extra';
+import { glob } from 'glob';
+import path from 'path';
+
+function readPackageJson(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// The `packages` list of a pnpm-workspace.yaml, without pulling in a YAML parser
+function readPnpmWorkspacePatterns(filePath) {
+    const patterns = [];
+    let inPackages = false;
+
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (/^packages\s*:/.test(line)) {
+            inPackages = true;
+            continue;
+        }
+        if (!inPackages) continue;
+
+        const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(?:#.*)?$/);
+        if (item) {
+            patterns.push(item[1]);
+        } else if (/^\S/.test(line)) {
+            inPackages = false;
+        }
+    }
+
+    return patterns;
+}
+
+// Workspace patterns declared in dir, or null when dir is not a workspace root
+function readWorkspacePatterns(dir) {
+    const pnpmWorkspacePath = path.join(dir, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspacePath)) {
+        return readPnpmWorkspacePatterns(pnpmWorkspacePath);
+    }
+
+    const workspaces = readPackageJson(dir)?.workspaces;
+    if (Array.isArray(workspaces)) {
+        return workspaces;
+    }
+    if (Array.isArray(workspaces?.packages)) {
+        return workspaces.packages;
+    }
+
+    return null;
+}
+
+// The npm/yarn/pnpm workspace containing dir (dir itself included), or null
+export function findWorkspaceRoot(dir) {
+    let current = path.resolve(dir);
+
+    while (true) {
+        const patterns = readWorkspacePatterns(current);
+        if (patterns) {
+            return { root: current, patterns };
+        }
+
+        const parent = path.dirname(current);
+        if (parent === current) {
+            return null;
+        }
+        current = parent;
+    }
+}
+
+// Every package matched by the workspace patterns, sorted by path
+export async function getWorkspacePackages(root, patterns) {
+    const include = patterns.filter(pattern => !pattern.startsWith('!'));
+    const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => `${pattern.slice(1)}/package.json`);
+
+    const manifests = await glob(include.map(pattern => `${pattern.replace(/\/$/, '')}/package.json`), {
+        cwd: root,
+        ignore: ['**/node_modules/**', ...exclude]
+    });
+
+    return manifests
+        .map(manifest => path.dirname(manifest).split(path.sep).join('/'))
+        .sort()
+        .map(packagePath => {
+            const dir = path.join(root, packagePath);
+            return { name: readPackageJson(dir)?.name || packagePath, path: packagePath, dir };
+        });
+}